@@ -1,6 +1,7 @@
 /**
  * Authentication service for handling OAuth and PKCE flows
  */
+import { createOAuthState } from "./services/oauth-state.server";
 
 /**
  * Generate authorization URL for the customer
@@ -12,25 +13,22 @@ export async function generateAuthUrl(conversationId, shopId) {
 
   // Generate authorization URL for the customer
   const clientId = process.env.SHOPIFY_API_KEY;
-  const scope = "customer-account-mcp-api:full";
+  // `openid` adds an ID token to the token response, which identifies the customer
+  const scope = "openid customer-account-mcp-api:full";
   const responseType = "code";
 
   // Use the actual app URL for redirect
   const redirectUri = process.env.REDIRECT_URL;
 
-  // Include the conversation ID and shop ID in the state parameter for tracking
-  const state = `${conversationId}-${shopId}`;
+  // Sign the conversation ID and shop ID into the state, so the callback can trust them
+  const state = createOAuthState({ conversationId, shopId });
 
   // Generate code verifier and challenge
   const verifier = generateCodeVerifier();
   const challenge = await generateCodeChallenge(verifier);
 
-  // Store the code verifier in the database
-  try {
-    await storeCodeVerifier(state, verifier);
-  } catch (error) {
-    console.error('Failed to store code verifier:', error);
-  }
+  // Store the code verifier in the database; the callback rejects states without one
+  await storeCodeVerifier(state, verifier);
 
   // Set code_challenge and code_challenge_method parameters
   const codeChallengeMethod = "S256";
@@ -42,7 +40,7 @@ export async function generateAuthUrl(conversationId, shopId) {
 
 
   // Construct the authorization URL with hardcoded shop ID
-  const authUrl = `${baseAuthUrl}?client_id=${clientId}&scope=${encodeURIComponent(scope)}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&state=${state}&code_challenge=${challenge}&code_challenge_method=${codeChallengeMethod}`;
+  const authUrl = `${baseAuthUrl}?client_id=${clientId}&scope=${encodeURIComponent(scope)}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&state=${encodeURIComponent(state)}&code_challenge=${challenge}&code_challenge_method=${codeChallengeMethod}`;
 
   return {
     url: authUrl,
@@ -57,6 +55,16 @@ export async function generateAuthUrl(conversationId, shopId) {
  * @returns {Promise<string|null>} - The base auth URL or null if not found
  */
 async function getBaseAuthUrl(conversationId, shopId) {
+  const metadata = await getAuthorizationServerMetadata(conversationId);
+  return metadata?.authorization_endpoint || null;
+}
+
+/**
+ * Get the OAuth authorization server metadata for a conversation's customer accounts
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The metadata, with the authorization and token endpoints, or null if not found
+ */
+export async function getAuthorizationServerMetadata(conversationId) {
   const { getCustomerAccountUrl } = await import('./db.server');
   const customerAccountUrl = await getCustomerAccountUrl(conversationId);
 
@@ -69,13 +77,106 @@ async function getBaseAuthUrl(conversationId, shopId) {
   const response = await fetch(endpoint);
 
   if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
+    console.error('Failed to fetch authorization server metadata from:', endpoint, response.status);
 
     return null;
   }
 
-  const data = await response.json();
-  return data.authorization_endpoint;
+  return response.json();
+}
+
+/**
+ * Exchange a refresh token for a new customer access token and store it
+ * @param {string} conversationId - The conversation the token belongs to
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<Object|null>} - The stored customer token, or null if the refresh failed
+ */
+export async function refreshCustomerToken(conversationId, refreshToken) {
+  const { storeCustomerToken } = await import('./db.server');
+
+  try {
+    const metadata = await getAuthorizationServerMetadata(conversationId);
+
+    if (!metadata?.token_endpoint) {
+      throw new Error('Token URL not found');
+    }
+
+    const response = await fetch(metadata.token_endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: process.env.SHOPIFY_API_KEY,
+        refresh_token: refreshToken
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token refresh failed: ${response.status} ${errorText}`);
+    }
+
+    const tokenResponse = await response.json();
+    const expiresAt = new Date();
+    expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
+
+    // The server may rotate the refresh token; the old one is kept if it does not
+    return await storeCustomerToken(
+      conversationId,
+      tokenResponse.access_token,
+      expiresAt,
+      tokenResponse.refresh_token
+    );
+  } catch (error) {
+    console.error('Failed to refresh customer token:', error);
+    return null;
+  }
+}
+
+/**
+ * Revoke a customer's tokens at the authorization server
+ * @param {string} conversationId - The conversation the tokens belong to
+ * @param {Object} token - The stored customer token
+ * @returns {Promise<boolean>} - True if every token was revoked
+ */
+export async function revokeCustomerToken(conversationId, token) {
+  try {
+    const metadata = await getAuthorizationServerMetadata(conversationId);
+
+    if (!metadata?.revocation_endpoint) {
+      throw new Error('Revocation URL not found');
+    }
+
+    // Revoke the refresh token too, so it can't be used to get a new access token
+    const tokens = [
+      ["access_token", token.accessToken],
+      ["refresh_token", token.refreshToken]
+    ].filter(([, value]) => value);
+
+    const responses = await Promise.all(tokens.map(([hint, value]) => fetch(metadata.revocation_endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        client_id: process.env.SHOPIFY_API_KEY,
+        token: value,
+        token_type_hint: hint
+      })
+    })));
+
+    const failed = responses.find(response => !response.ok);
+    if (failed) {
+      throw new Error(`Token revocation failed: ${failed.status} ${await failed.text()}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Failed to revoke customer token:', error);
+    return false;
+  }
 }
 
 /**
@@ -1,4 +1,5 @@
 import { PrismaClient } from "@prisma/client";
+import { encryptSecret, decryptSecret, checkEncryptionKeys } from "./services/encryption.server";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -8,8 +9,46 @@ if (process.env.NODE_ENV !== "production") {
 
 const prisma = global.prismaGlobal ?? new PrismaClient();
 
+// Report missing or malformed keys when the app starts, not when the first secret is stored
+const encryptionKeyError = checkEncryptionKeys();
+if (encryptionKeyError) {
+  console.error(`${encryptionKeyError}. Customer sign-in and saving MCP servers will fail until it is fixed.`);
+}
+
 export default prisma;
 
+/**
+ * Decrypt the secrets of a stored customer token
+ * @param {Object|null} token - The customer token record
+ * @returns {Object|null} - The token with plaintext access and refresh tokens
+ */
+function decryptCustomerToken(token) {
+  if (!token) return null;
+
+  return {
+    ...token,
+    accessToken: decryptSecret(token.accessToken),
+    refreshToken: token.refreshToken ? decryptSecret(token.refreshToken) : null
+  };
+}
+
+/**
+ * Build the filter for the customer tokens a request can use: the conversation's own, and
+ * those of the customer the storefront vouched for in the request. Being linked to a customer
+ * does not give a conversation their tokens, since conversation IDs come from the client.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} [customerId] - The verified customer's ID in the app's database
+ * @returns {Object} - The Prisma `where` filter
+ */
+function conversationTokensFilter(conversationId, customerId) {
+  return {
+    OR: [
+      { conversationId },
+      ...(customerId ? [{ customerId }] : [])
+    ]
+  };
+}
+
 /**
  * Store a code verifier for PKCE authentication
  * @param {string} state - The state parameter used in OAuth flow
@@ -24,9 +63,9 @@ export async function storeCodeVerifier(state, verifier) {
   try {
     return await prisma.codeVerifier.create({
       data: {
-        id: `cv_${Date.now()}`,
+        id: `cv_${crypto.randomUUID()}`,
         state,
-        verifier,
+        verifier: encryptSecret(verifier),
         expiresAt
       }
     });
@@ -37,9 +76,9 @@ export async function storeCodeVerifier(state, verifier) {
 }
 
 /**
- * Get a code verifier by state parameter
+ * Get a code verifier by state parameter. Each verifier can only be retrieved once.
  * @param {string} state - The state parameter used in OAuth flow
- * @returns {Promise<Object|null>} - The code verifier object or null if not found
+ * @returns {Promise<Object|null>} - The code verifier object or null if not found, expired or already used
  */
 export async function getCodeVerifier(state) {
   try {
@@ -52,16 +91,19 @@ export async function getCodeVerifier(state) {
       }
     });
 
-    if (verifier) {
-      // Delete it after retrieval to prevent reuse
-      await prisma.codeVerifier.delete({
-        where: {
-          id: verifier.id
-        }
-      });
+    if (!verifier) {
+      return null;
     }
 
-    return verifier;
+    // Delete it after retrieval to prevent reuse; if a concurrent request
+    // deleted it first, the state has already been redeemed
+    const { count } = await prisma.codeVerifier.deleteMany({
+      where: {
+        id: verifier.id
+      }
+    });
+
+    return count === 1 ? { ...verifier, verifier: decryptSecret(verifier.verifier) } : null;
   } catch (error) {
     console.error('Error retrieving code verifier:', error);
     return null;
@@ -69,42 +111,57 @@ export async function getCodeVerifier(state) {
 }
 
 /**
- * Store a customer access token in the database
+ * Store a customer access token in the database. The token is stored for the conversation's
+ * customer if the conversation is linked to one, and for the conversation otherwise.
  * @param {string} conversationId - The conversation ID to associate with the token
  * @param {string} accessToken - The access token to store
  * @param {Date} expiresAt - When the token expires
+ * @param {string} [refreshToken] - The refresh token; an existing one is kept if omitted
+ * @param {Object} options - Storage options
+ * @param {boolean} options.signIn - The customer just signed in from the conversation, which then holds the token
  * @returns {Promise<Object>} - The saved customer token
  */
-export async function storeCustomerToken(conversationId, accessToken, expiresAt) {
+export async function storeCustomerToken(conversationId, accessToken, expiresAt, refreshToken, { signIn = false } = {}) {
   try {
-    // Check if a token already exists for this conversation
+    // Tokens belong to the conversation's customer if it has one, so other conversations can share them
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { customerId: true }
+    });
+    const customerId = conversation?.customerId || null;
+
+    // Check if a token already exists for this customer or conversation
     const existingToken = await prisma.customerToken.findFirst({
-      where: { conversationId }
+      where: customerId ? { customerId } : { conversationId }
     });
 
     if (existingToken) {
       // Update existing token
-      return await prisma.customerToken.update({
+      return decryptCustomerToken(await prisma.customerToken.update({
         where: { id: existingToken.id },
         data: {
-          accessToken,
+          accessToken: encryptSecret(accessToken),
           expiresAt,
+          ...(refreshToken && { refreshToken: encryptSecret(refreshToken) }),
+          ...(signIn && { conversationId }),
           updatedAt: new Date()
         }
-      });
+      }));
     }
 
     // Create a new token record
-    return await prisma.customerToken.create({
+    return decryptCustomerToken(await prisma.customerToken.create({
       data: {
         id: `ct_${Date.now()}`,
         conversationId,
-        accessToken,
+        customerId,
+        accessToken: encryptSecret(accessToken),
+        refreshToken: refreshToken ? encryptSecret(refreshToken) : null,
         expiresAt,
         createdAt: new Date(),
         updatedAt: new Date()
       }
-    });
+    }));
   } catch (error) {
     console.error('Error storing customer token:', error);
     throw error;
@@ -112,34 +169,137 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
 }
 
 /**
- * Get a customer access token by conversation ID
+ * Get a customer access token by conversation ID, including tokens of the verified customer
  * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeExpired - Also return an expired token, e.g. to refresh it
+ * @param {string} options.customerId - The customer the storefront vouched for, whose tokens can be used too
  * @returns {Promise<Object|null>} - The customer token or null if not found/expired
  */
-export async function getCustomerToken(conversationId) {
+export async function getCustomerToken(conversationId, { includeExpired = false, customerId } = {}) {
   try {
     const token = await prisma.customerToken.findFirst({
       where: {
-        conversationId,
-        expiresAt: {
-          gt: new Date() // Only return non-expired tokens
-        }
-      }
+        ...conversationTokensFilter(conversationId, customerId),
+        ...(!includeExpired && {
+          expiresAt: {
+            gt: new Date() // Only return non-expired tokens
+          }
+        })
+      },
+      orderBy: { updatedAt: 'desc' }
     });
 
-    return token;
+    return decryptCustomerToken(token);
   } catch (error) {
     console.error('Error retrieving customer token:', error);
     return null;
   }
 }
 
+/**
+ * Delete a conversation's customer tokens, including tokens of the verified customer
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Query options
+ * @param {string} options.customerId - The customer the storefront vouched for, whose tokens are deleted too
+ * @returns {Promise<number>} - The number of deleted tokens
+ */
+export async function deleteCustomerTokens(conversationId, { customerId } = {}) {
+  try {
+    const { count } = await prisma.customerToken.deleteMany({
+      where: conversationTokensFilter(conversationId, customerId)
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error deleting customer tokens:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get or create the customer with an account ID in a shop
+ * @param {string} shopId - The shop ID
+ * @param {string} accountId - The customer's numeric ID in the shop
+ * @returns {Promise<Object>} - The customer
+ */
+export async function getOrCreateCustomer(shopId, accountId) {
+  try {
+    return await prisma.customer.upsert({
+      where: { shopId_accountId: { shopId, accountId } },
+      update: {},
+      create: { shopId, accountId }
+    });
+  } catch (error) {
+    console.error('Error getting or creating customer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the customer with an account ID in a shop
+ * @param {string} shopId - The shop ID
+ * @param {string} accountId - The customer's numeric ID in the shop
+ * @returns {Promise<Object|null>} - The customer or null if not found
+ */
+export async function getCustomer(shopId, accountId) {
+  try {
+    return await prisma.customer.findUnique({
+      where: { shopId_accountId: { shopId, accountId } }
+    });
+  } catch (error) {
+    console.error('Error retrieving customer:', error);
+    return null;
+  }
+}
+
+/**
+ * Link a conversation to a customer, creating the conversation if needed
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shopId - The shop ID
+ * @param {string} customerId - The customer's ID in the app's database
+ * @returns {Promise<Object>} - The conversation
+ */
+export async function linkConversationToCustomer(conversationId, shopId, customerId) {
+  try {
+    return await prisma.conversation.upsert({
+      where: { id: conversationId },
+      update: { customerId },
+      create: { id: conversationId, shopId, customerId }
+    });
+  } catch (error) {
+    console.error('Error linking conversation to customer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a customer's conversations, most recently active first
+ * @param {string} customerId - The customer's ID in the app's database
+ * @param {Object} options - Query options
+ * @param {number} options.limit - The maximum number of conversations
+ * @returns {Promise<Array>} - The conversations
+ */
+export async function getCustomerConversations(customerId, { limit = 20 } = {}) {
+  try {
+    return await prisma.conversation.findMany({
+      where: { customerId },
+      orderBy: { updatedAt: 'desc' },
+      take: limit
+    });
+  } catch (error) {
+    console.error('Error retrieving customer conversations:', error);
+    return [];
+  }
+}
+
 /**
  * Create or update a conversation in the database
  * @param {string} conversationId - The conversation ID
+ * @param {string} shopId - The shop the conversation belongs to, if known
  * @returns {Promise<Object>} - The created or updated conversation
  */
-export async function createOrUpdateConversation(conversationId) {
+export async function createOrUpdateConversation(conversationId, shopId) {
   try {
     const existingConversation = await prisma.conversation.findUnique({
       where: { id: conversationId }
@@ -149,6 +309,7 @@ export async function createOrUpdateConversation(conversationId) {
       return await prisma.conversation.update({
         where: { id: conversationId },
         data: {
+          ...(shopId && !existingConversation.shopId && { shopId }),
           updatedAt: new Date()
         }
       });
@@ -156,7 +317,8 @@ export async function createOrUpdateConversation(conversationId) {
 
     return await prisma.conversation.create({
       data: {
-        id: conversationId
+        id: conversationId,
+        shopId
       }
     });
   } catch (error) {
@@ -170,19 +332,28 @@ export async function createOrUpdateConversation(conversationId) {
  * @param {string} conversationId - The conversation ID
  * @param {string} role - The message role (user or assistant)
  * @param {string} content - The message content
+ * @param {Object} metadata - Optional message metadata
+ * @param {string} metadata.shopId - The shop the conversation belongs to
+ * @param {string} metadata.model - The model that produced the message
+ * @param {Object} metadata.usage - Token usage in Anthropic's `usage` format
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(conversationId, role, content, { shopId, model, usage } = {}) {
   try {
     // Ensure the conversation exists
-    await createOrUpdateConversation(conversationId);
+    await createOrUpdateConversation(conversationId, shopId);
 
     // Create the message
     return await prisma.message.create({
       data: {
         conversationId,
         role,
-        content
+        content,
+        model,
+        inputTokens: usage?.input_tokens || 0,
+        outputTokens: usage?.output_tokens || 0,
+        cacheCreationTokens: usage?.cache_creation_input_tokens || 0,
+        cacheReadTokens: usage?.cache_read_input_tokens || 0
       }
     });
   } catch (error) {
@@ -210,6 +381,58 @@ export async function getConversationHistory(conversationId) {
   }
 }
 
+/**
+ * Get a conversation by ID
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation or null if not found
+ */
+export async function getConversation(conversationId) {
+  try {
+    return await prisma.conversation.findUnique({
+      where: { id: conversationId }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a summary of a conversation's older messages
+ * @param {string} conversationId - The conversation ID
+ * @param {string} summary - The summary text
+ * @param {Date} summarizedThrough - createdAt of the last message covered by the summary
+ * @param {Object} metadata - The model and token usage of the summarization call
+ * @returns {Promise<Object>} - The saved summary message
+ */
+export async function saveConversationSummary(conversationId, summary, summarizedThrough, { model, usage } = {}) {
+  try {
+    const [message] = await prisma.$transaction([
+      prisma.message.create({
+        data: {
+          conversationId,
+          role: 'summary',
+          content: summary,
+          model,
+          inputTokens: usage?.input_tokens || 0,
+          outputTokens: usage?.output_tokens || 0,
+          cacheCreationTokens: usage?.cache_creation_input_tokens || 0,
+          cacheReadTokens: usage?.cache_read_input_tokens || 0
+        }
+      }),
+      prisma.conversation.update({
+        where: { id: conversationId },
+        data: { summarizedThrough }
+      })
+    ]);
+
+    return message;
+  } catch (error) {
+    console.error('Error saving conversation summary:', error);
+    throw error;
+  }
+}
+
 /**
  * Store customer account URL for a conversation
  * @param {string} conversationId - The conversation ID
@@ -253,3 +476,320 @@ export async function getCustomerAccountUrl(conversationId) {
     return null;
   }
 }
+
+/**
+ * Get the messages that consumed tokens for a shop within a time range
+ * @param {string} shopId - The shop ID
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (exclusive)
+ * @returns {Promise<Array>} - Messages with their model and token counts
+ */
+export async function getShopUsageMessages(shopId, from, to) {
+  try {
+    return await prisma.message.findMany({
+      where: {
+        conversation: { shopId },
+        createdAt: { gte: from, lt: to },
+        OR: [
+          { inputTokens: { gt: 0 } },
+          { outputTokens: { gt: 0 } }
+        ]
+      },
+      select: {
+        model: true,
+        inputTokens: true,
+        outputTokens: true,
+        cacheCreationTokens: true,
+        cacheReadTokens: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving shop usage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the messages that consumed tokens in a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Array>} - Messages with their model and token counts
+ */
+export async function getConversationUsageMessages(conversationId) {
+  try {
+    return await prisma.message.findMany({
+      where: {
+        conversationId,
+        OR: [
+          { inputTokens: { gt: 0 } },
+          { outputTokens: { gt: 0 } }
+        ]
+      },
+      select: {
+        model: true,
+        inputTokens: true,
+        outputTokens: true,
+        cacheCreationTokens: true,
+        cacheReadTokens: true,
+        createdAt: true
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation usage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the total tokens a shop consumed within a time range
+ * @param {string} shopId - The shop ID
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (exclusive)
+ * @returns {Promise<number>} - Input, output and cache tokens combined
+ */
+export async function getShopTokenTotal(shopId, from, to) {
+  try {
+    const { _sum: sum } = await prisma.message.aggregate({
+      where: {
+        conversation: { shopId },
+        createdAt: { gte: from, lt: to }
+      },
+      _sum: {
+        inputTokens: true,
+        outputTokens: true,
+        cacheCreationTokens: true,
+        cacheReadTokens: true
+      }
+    });
+
+    return (sum.inputTokens || 0) +
+      (sum.outputTokens || 0) +
+      (sum.cacheCreationTokens || 0) +
+      (sum.cacheReadTokens || 0);
+  } catch (error) {
+    console.error('Error retrieving shop token total:', error);
+    return 0;
+  }
+}
+
+/**
+ * Record a tool call and how it ended
+ * @param {Object} toolCall - The tool call
+ * @param {string} toolCall.shopId - The shop ID
+ * @param {string} toolCall.conversationId - The conversation ID
+ * @param {string} toolCall.model - The model that asked for the call
+ * @param {string} toolCall.toolName - The tool name
+ * @param {string} toolCall.status - "ok", or the type of the tool error
+ * @returns {Promise<Object|null>} - The saved tool call, or null if it could not be saved
+ */
+export async function saveToolCall({ shopId, conversationId, model, toolName, status }) {
+  try {
+    return await prisma.toolCall.create({
+      data: { shopId, conversationId, model, toolName, status }
+    });
+  } catch (error) {
+    // Metrics should never break a chat
+    console.error('Error saving tool call:', error);
+    return null;
+  }
+}
+
+/**
+ * Count a shop's tool calls within a time range by model and status
+ * @param {string} shopId - The shop ID
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (exclusive)
+ * @returns {Promise<Array>} - Counts, each with `model`, `status` and `count`
+ */
+export async function getShopToolCallCounts(shopId, from, to) {
+  try {
+    const groups = await prisma.toolCall.groupBy({
+      by: ['model', 'status'],
+      where: {
+        shopId,
+        createdAt: { gte: from, lt: to }
+      },
+      _count: { _all: true }
+    });
+
+    return groups.map(group => ({
+      model: group.model,
+      status: group.status,
+      count: group._count._all
+    }));
+  } catch (error) {
+    console.error('Error retrieving shop tool calls:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the third-party MCP servers a merchant has added
+ * @param {string} shopId - The shop ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.enabledOnly - Only return enabled servers
+ * @returns {Promise<Array>} - MCP servers with their headers parsed, oldest first
+ */
+export async function getMcpServers(shopId, { enabledOnly = false } = {}) {
+  // Without a shop ID the query would match every shop's servers
+  if (!shopId) return [];
+
+  try {
+    const servers = await prisma.mcpServer.findMany({
+      where: {
+        shopId,
+        ...(enabledOnly && { enabled: true })
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    // Header values are credentials, so they are stored encrypted
+    return servers.map(server => ({
+      ...server,
+      headers: server.headers ? JSON.parse(decryptSecret(server.headers)) : {}
+    }));
+  } catch (error) {
+    console.error('Error retrieving MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a third-party MCP server for a shop, or replace the one with the same name
+ * @param {string} shopId - The shop ID
+ * @param {Object} server - The server
+ * @param {string} server.name - Prefix for the server's tool names
+ * @param {string} server.url - The server's MCP endpoint
+ * @param {Object} server.headers - HTTP headers to send with every request
+ * @returns {Promise<Object>} - The saved MCP server
+ */
+export async function saveMcpServer(shopId, { name, url, headers }) {
+  try {
+    return await prisma.mcpServer.upsert({
+      where: { shopId_name: { shopId, name } },
+      update: {
+        url,
+        headers: encryptSecret(JSON.stringify(headers)),
+        updatedAt: new Date()
+      },
+      create: {
+        shopId,
+        name,
+        url,
+        headers: encryptSecret(JSON.stringify(headers)),
+        updatedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error saving MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enable or disable a shop's MCP server
+ * @param {string} shopId - The shop ID
+ * @param {string} id - The MCP server ID
+ * @param {boolean} enabled - Whether the server's tools are offered to the assistant
+ * @returns {Promise<void>}
+ */
+export async function setMcpServerEnabled(shopId, id, enabled) {
+  try {
+    await prisma.mcpServer.updateMany({
+      where: { id, shopId },
+      data: { enabled }
+    });
+  } catch (error) {
+    console.error('Error updating MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a shop's MCP server
+ * @param {string} shopId - The shop ID
+ * @param {string} id - The MCP server ID
+ * @returns {Promise<void>}
+ */
+export async function deleteMcpServer(shopId, id) {
+  try {
+    await prisma.mcpServer.deleteMany({
+      where: { id, shopId }
+    });
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a shop's tool policy
+ * @param {string} shopId - The shop ID
+ * @returns {Promise<Object>} - The policy with its lists parsed; empty lists if the shop has none
+ * @throws {Error} If the policy can't be read
+ */
+export async function getToolPolicy(shopId) {
+  const emptyPolicy = {
+    allowedTools: [],
+    deniedTools: [],
+    confirmationTools: [],
+    autoApprovedTools: [],
+    descriptionOverrides: {}
+  };
+
+  if (!shopId) return emptyPolicy;
+
+  try {
+    const policy = await prisma.toolPolicy.findUnique({
+      where: { shopId }
+    });
+
+    if (!policy) return emptyPolicy;
+
+    return {
+      allowedTools: JSON.parse(policy.allowedTools || '[]'),
+      deniedTools: JSON.parse(policy.deniedTools || '[]'),
+      confirmationTools: JSON.parse(policy.confirmationTools || '[]'),
+      autoApprovedTools: JSON.parse(policy.autoApprovedTools || '[]'),
+      descriptionOverrides: JSON.parse(policy.descriptionOverrides || '{}')
+    };
+  } catch (error) {
+    // Falling back to no policy would offer the tools the merchant denied
+    console.error('Error retrieving tool policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a shop's tool policy
+ * @param {string} shopId - The shop ID
+ * @param {Object} policy - The policy
+ * @param {Array<string>} policy.allowedTools - When not empty, only these tools are offered
+ * @param {Array<string>} policy.deniedTools - Tools that are never offered
+ * @param {Array<string>} policy.confirmationTools - Tools the shopper has to confirm
+ * @param {Array<string>} policy.autoApprovedTools - Tools the shopper never has to confirm
+ * @param {Object} policy.descriptionOverrides - Tool descriptions keyed by tool name
+ * @returns {Promise<Object>} - The saved tool policy
+ */
+export async function saveToolPolicy(shopId, { allowedTools, deniedTools, confirmationTools, autoApprovedTools, descriptionOverrides }) {
+  const data = {
+    allowedTools: JSON.stringify(allowedTools),
+    deniedTools: JSON.stringify(deniedTools),
+    confirmationTools: JSON.stringify(confirmationTools),
+    autoApprovedTools: JSON.stringify(autoApprovedTools),
+    descriptionOverrides: JSON.stringify(descriptionOverrides),
+    updatedAt: new Date()
+  };
+
+  try {
+    return await prisma.toolPolicy.upsert({
+      where: { shopId },
+      update: data,
+      create: { shopId, ...data }
+    });
+  } catch (error) {
+    console.error('Error saving tool policy:', error);
+    throw error;
+  }
+}
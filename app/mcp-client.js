@@ -1,5 +1,23 @@
-import { generateAuthUrl } from "./auth.server";
+import { generateAuthUrl, refreshCustomerToken } from "./auth.server";
 import { getCustomerToken } from "./db.server";
+import AppConfig from "./services/config.server";
+import {
+  namespaceToolName,
+  checkServerUrl,
+  publicOnlyAgent,
+  TOOL_NAMESPACE_SEPARATOR
+} from "./services/mcp-servers.server";
+import {
+  getCachedToolList,
+  cacheToolList,
+  invalidateToolLists,
+  getCachedContextResources,
+  cacheContextResources,
+  invalidateContextResources
+} from "./services/tool-cache.server";
+import { isCircuitOpen, recordSuccess, recordFailure } from "./services/circuit-breaker.server";
+import { applyToolPolicy, isToolAllowed, requiresConfirmation } from "./services/tool-policy.server";
+import { validateToolArguments, validateToolResult } from "./services/tool-validation.server";
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
@@ -12,19 +30,56 @@ class MCPClient {
    * @param {string} hostUrl - The base URL for the shop
    * @param {string} conversationId - ID for the current conversation
    * @param {string} shopId - ID of the Shopify shop
+   * @param {string} [customerMcpEndpoint] - Customer MCP endpoint, if discovered for the shop
+   * @param {Object} [toolPolicy] - The shop's tool policy; all tools are offered without one
+   * @param {string} [customerId] - The customer the storefront vouched for, whose sign-in the conversation can use
    */
-  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint) {
+  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint, toolPolicy = null, customerId = null) {
     this.tools = [];
+    this.toolPolicy = toolPolicy;
     this.customerTools = [];
     this.storefrontTools = [];
+    this.customTools = [];
+    // Third-party tools keyed by namespaced name, with the server and the server's own tool name
+    this.customServerTools = new Map();
+    // Connected servers keyed by name ("storefront", "customer" or a third-party server's name)
+    this.connections = new Map();
+    // Endpoints of third-party servers, which must not redirect the app elsewhere
+    this.customEndpoints = new Set();
+    // Capabilities each server declared in the handshake, keyed by endpoint
+    this.serverCapabilities = new Map();
+    // Tools the servers marked as read-only, which are safe to retry, and tools that may
+    // change or delete data, which is what tools that are not read-only do unless marked otherwise
+    this.readOnlyTools = new Set();
+    this.destructiveTools = new Set();
+    // Output schemas keyed by tool name, for validating structured results
+    this.outputSchemas = new Map();
     // TODO: Make this dynamic, for that first we need to allow access of mcp tools on password proteted demo stores.
     this.storefrontMcpEndpoint = `${hostUrl}/api/mcp`;
 
     const accountHostUrl = hostUrl.replace(/(\.myshopify\.com)$/, '.account$1');
     this.customerMcpEndpoint = customerMcpEndpoint || `${accountHostUrl}/customer/api/mcp`;
-    this.customerAccessToken = "";
+    // The customer's stored token, and the refresh in flight, shared by parallel tool calls
+    this.customerToken = null;
+    this.customerTokenRefresh = null;
     this.conversationId = conversationId;
+    this.customerId = customerId;
     this.shopId = shopId;
+    // MCP sessions keyed by endpoint, each a promise that resolves once the handshake is done
+    this.sessions = new Map();
+    this.nextRequestId = 1;
+    // Progress callbacks keyed by progress token, and listeners for other server notifications
+    this.progressHandlers = new Map();
+    this.notificationListeners = [];
+  }
+
+  /**
+   * Registers a listener for notifications sent by any of the MCP servers.
+   *
+   * @param {Function} listener - Called with the endpoint and the JSON-RPC notification
+   */
+  onNotification(listener) {
+    this.notificationListeners.push(listener);
   }
 
   /**
@@ -38,36 +93,20 @@ class MCPClient {
     try {
       console.log(`Connecting to MCP server at ${this.customerMcpEndpoint}`);
 
-      if (this.conversationId) {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          this.customerAccessToken = dbToken.accessToken;
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
-      }
-
-      // If we still don't have a token, we'll connect without one
+      // If we don't have a token, we'll connect without one
       // and tools that require auth will prompt for it later
       const headers = {
         "Content-Type": "application/json",
-        "Authorization": this.customerAccessToken || ""
+        "Authorization": await this._getCustomerAccessToken()
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      const toolsData = await this._listTools(this.customerMcpEndpoint, headers);
       const customerTools = this._formatToolsData(toolsData);
+      this._trackToolAnnotations(toolsData);
+      this.connections.set("customer", { endpoint: this.customerMcpEndpoint, headers });
 
       this.customerTools = customerTools;
-      this.tools = [...this.tools, ...customerTools];
+      this._updateTools();
 
       return customerTools;
     } catch (e) {
@@ -90,19 +129,13 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      const toolsData = await this._listTools(this.storefrontMcpEndpoint, headers);
       const storefrontTools = this._formatToolsData(toolsData);
+      this._trackToolAnnotations(toolsData);
+      this.connections.set("storefront", { endpoint: this.storefrontMcpEndpoint, headers });
 
       this.storefrontTools = storefrontTools;
-      this.tools = [...this.tools, ...storefrontTools];
+      this._updateTools();
 
       return storefrontTools;
     } catch (e) {
@@ -111,33 +144,343 @@ class MCPClient {
     }
   }
 
+  /**
+   * Connects to the merchant's third-party MCP servers and retrieves their tools.
+   * Tool names are prefixed with the server name; servers that fail, or whose host now
+   * resolves to a private address, are skipped.
+   *
+   * @param {Array} servers - Servers with `name`, `url` and `headers`
+   * @returns {Promise<Array>} Array of available third-party tools
+   */
+  async connectToCustomServers(servers) {
+    const results = await Promise.allSettled(servers.map(async (server) => {
+      console.log(`Connecting to MCP server ${server.name} at ${server.url}`);
+
+      const urlError = await checkServerUrl(server.url);
+      if (urlError) {
+        throw new Error(`MCP server ${server.name} is not allowed: ${urlError}`);
+      }
+      this.customEndpoints.add(server.url);
+
+      const headers = {
+        "Content-Type": "application/json",
+        ...server.headers
+      };
+
+      const toolsData = await this._listTools(server.url, headers);
+      this.connections.set(server.name, { endpoint: server.url, headers });
+
+      return this._formatToolsData(toolsData).flatMap((tool, index) => {
+        const name = namespaceToolName(server.name, tool.name);
+
+        if (!name) {
+          console.warn(`Skipping tool ${tool.name} of MCP server ${server.name}: name is too long or invalid`);
+          return [];
+        }
+
+        this.customServerTools.set(name, { server, toolName: tool.name });
+        this._trackToolAnnotations([{ ...toolsData[index], name }]);
+        return [{ ...tool, name }];
+      });
+    }));
+
+    const customTools = results.flatMap((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Failed to connect to MCP server ${servers[index].name}:`, result.reason);
+        return [];
+      }
+
+      return result.value;
+    });
+
+    this.customTools = customTools;
+    this._updateTools();
+
+    return customTools;
+  }
+
+  /**
+   * Lists the resources of all connected servers that offer resources.
+   *
+   * @returns {Promise<Array>} Resources with the name of their `server`
+   */
+  async listResources() {
+    const results = await this._requestEachServer("resources", "resources/list", {});
+
+    return results.flatMap(({ server, result }) =>
+      (result.resources || []).map(resource => ({ ...resource, server }))
+    );
+  }
+
+  /**
+   * Reads a resource from a connected server.
+   *
+   * @param {string} server - Name of the server that listed the resource
+   * @param {string} uri - The resource URI
+   * @returns {Promise<Array>} The resource contents, each with `uri` and `text` or `blob`
+   * @throws {Error} If the server is not connected or the read fails
+   */
+  async readResource(server, uri) {
+    const connection = this.connections.get(server);
+    if (!connection) {
+      throw new Error(`MCP server ${server} is not connected`);
+    }
+
+    const response = await this._makeJsonRpcRequest(connection.endpoint, "resources/read", { uri }, connection.headers);
+    if (response.error) {
+      throw new Error(`Failed to read resource ${uri}: ${response.error.message}`);
+    }
+
+    return response.result?.contents || [];
+  }
+
+  /**
+   * Reads the text resources meant for the assistant, highest priority first, within
+   * the configured limits. Resources that fail to load are skipped.
+   *
+   * @returns {Promise<Array>} Resources with `server`, `uri`, `name` and `text`
+   */
+  async readContextResources() {
+    const { maxResources, maxChars } = AppConfig.mcp.contextResources;
+
+    const resources = (await Promise.all(
+      Array.from(this.connections.entries()).map(([server, connection]) =>
+        this._readServerContextResources(server, connection)
+      )
+    )).flat();
+
+    const candidates = resources
+      .sort((a, b) => b.priority - a.priority)
+      .slice(0, maxResources);
+
+    // Keep within the character budget, in priority order
+    let remaining = maxChars;
+    return candidates.flatMap(({ server, uri, name, text }) => {
+      if (!text || remaining <= 0) return [];
+
+      const trimmed = text.slice(0, remaining);
+      remaining -= trimmed.length;
+      return [{ server, uri, name, text: trimmed }];
+    });
+  }
+
+  /**
+   * Reads the text resources a server marks for the assistant. They are cached per shop,
+   * so the server is only asked again once the cached resources have expired or it
+   * reported a change; results with resources that failed to load are not cached.
+   *
+   * @private
+   * @param {string} server - The server name
+   * @param {Object} connection - The server's endpoint and headers
+   * @returns {Promise<Array>} Resources with `server`, `uri`, `name`, `priority` and `text`
+   */
+  async _readServerContextResources(server, { endpoint, headers }) {
+    if (!this._hasCapability(endpoint, "resources")) {
+      return [];
+    }
+
+    const cached = getCachedContextResources(this.shopId, endpoint);
+    if (cached) {
+      return cached;
+    }
+
+    let resources;
+    try {
+      const response = await this._makeJsonRpcRequest(endpoint, "resources/list", {}, headers);
+      if (response.error) {
+        throw new Error(response.error.message);
+      }
+      resources = response.result?.resources || [];
+    } catch (error) {
+      console.warn(`Failed to list MCP resources of ${server}:`, error.message);
+      return [];
+    }
+
+    const candidates = resources
+      .filter(resource => !resource.annotations?.audience || resource.annotations.audience.includes("assistant"))
+      .sort((a, b) => (b.annotations?.priority ?? 0.5) - (a.annotations?.priority ?? 0.5))
+      .slice(0, AppConfig.mcp.contextResources.maxResources);
+
+    const contents = await Promise.all(candidates.map(async (resource) => {
+      try {
+        const text = (await this.readResource(server, resource.uri))
+          .filter(content => typeof content.text === "string")
+          .map(content => content.text)
+          .join("\n");
+
+        return {
+          server,
+          uri: resource.uri,
+          name: resource.name,
+          priority: resource.annotations?.priority ?? 0.5,
+          text
+        };
+      } catch (error) {
+        console.warn(`Failed to read MCP resource ${resource.uri}:`, error.message);
+        return null;
+      }
+    }));
+
+    const loaded = contents.filter(Boolean);
+    if (loaded.length === contents.length) {
+      cacheContextResources(this.shopId, endpoint, loaded);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Lists the prompt templates of all connected servers that offer prompts.
+   * Each is identified by a prompt type of the form `<server>__<prompt name>`.
+   *
+   * @returns {Promise<Array>} Prompts with `promptType`, `server`, `name`, `description` and `arguments`
+   */
+  async listPrompts() {
+    const results = await this._requestEachServer("prompts", "prompts/list", {});
+
+    return results.flatMap(({ server, result }) =>
+      (result.prompts || []).map(prompt => ({
+        promptType: `${server}${TOOL_NAMESPACE_SEPARATOR}${prompt.name}`,
+        server,
+        name: prompt.name,
+        description: prompt.description,
+        arguments: prompt.arguments || []
+      }))
+    );
+  }
+
+  /**
+   * Gets a server prompt template as text to use as the system prompt.
+   *
+   * @param {string} promptType - Prompt type of the form `<server>__<prompt name>`
+   * @returns {Promise<string|null>} The prompt text, or null if the prompt is not available
+   */
+  async getPromptText(promptType) {
+    const separator = promptType.indexOf(TOOL_NAMESPACE_SEPARATOR);
+    const server = promptType.slice(0, separator);
+    const name = promptType.slice(separator + TOOL_NAMESPACE_SEPARATOR.length);
+    const connection = separator > 0 && this.connections.get(server);
+
+    if (!connection || !this._hasCapability(connection.endpoint, "prompts")) {
+      return null;
+    }
+
+    try {
+      const response = await this._makeJsonRpcRequest(
+        connection.endpoint,
+        "prompts/get",
+        { name, arguments: {} },
+        connection.headers
+      );
+
+      if (response.error) {
+        console.warn(`Failed to get MCP prompt ${promptType}:`, response.error.message);
+        return null;
+      }
+
+      const text = (response.result?.messages || [])
+        .map(message => message.content)
+        .filter(content => content?.type === "text")
+        .map(content => content.text)
+        .join("\n\n");
+
+      return text || null;
+    } catch (error) {
+      console.warn(`Failed to get MCP prompt ${promptType}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Dispatches a tool call to the appropriate MCP server based on the tool name.
+   * Calls with arguments that do not match the tool's input schema, calls that time out
+   * or go to a server whose circuit is open, and structured results that do not match the
+   * tool's output schema return a tool error the model can act on, rather than failing the chat.
    *
    * @param {string} toolName - Name of the tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options
+   * @param {Function} [options.onProgress] - Receives the server's progress notifications for the call
+   * @param {AbortSignal} [options.signal] - Cancels the call, e.g. when the chat turn runs out of time
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If tool is not found or call fails
    */
-  async callTool(toolName, toolArgs) {
-    if (this.customerTools.some(tool => tool.name === toolName)) {
-      return this.callCustomerTool(toolName, toolArgs);
-    } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
-      return this.callStorefrontTool(toolName, toolArgs);
-    } else {
-      throw new Error(`Tool ${toolName} not found`);
+  async callTool(toolName, toolArgs, options = {}) {
+    // The model may still ask for a tool it saw before the policy changed
+    if (this.toolPolicy && !isToolAllowed(this.toolPolicy, toolName)) {
+      return {
+        error: {
+          type: "tool_not_allowed",
+          data: `The ${toolName} tool is not available in this store. Don't call it again; help the customer another way.`
+        }
+      };
+    }
+
+    const toolDefinition = this.tools.find(tool => tool.name === toolName);
+    if (toolDefinition && AppConfig.tools.validateArguments) {
+      const invalidArguments = validateToolArguments(toolDefinition, toolArgs);
+      if (invalidArguments) {
+        console.warn(`Invalid arguments for ${toolName}:`, invalidArguments.error.data);
+        return invalidArguments;
+      }
+    }
+
+    const callOptions = {
+      ...options,
+      timeoutMs: AppConfig.mcp.toolTimeoutsMs[toolName] || AppConfig.mcp.toolTimeoutMs,
+      idempotent: this._isReadOnlyTool(toolName)
+    };
+
+    try {
+      let result;
+      if (this.customerTools.some(tool => tool.name === toolName)) {
+        result = await this.callCustomerTool(toolName, toolArgs, callOptions);
+      } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
+        result = await this.callStorefrontTool(toolName, toolArgs, callOptions);
+      } else if (this.customServerTools.has(toolName)) {
+        result = await this.callCustomServerTool(toolName, toolArgs, callOptions);
+      } else {
+        throw new Error(`Tool ${toolName} not found`);
+      }
+
+      if (!result.error && AppConfig.tools.validateResults) {
+        return validateToolResult(toolName, this.outputSchemas.get(toolName), result) || result;
+      }
+
+      return result;
+    } catch (error) {
+      const unavailable = this._toolUnavailableResult(toolName, error);
+      if (unavailable) {
+        return unavailable;
+      }
+
+      throw error;
     }
   }
 
+  /**
+   * Checks whether the shopper has to confirm a call to a tool, because the tool may change
+   * or delete data or because the shop's policy says so. The policy can also exempt tools.
+   *
+   * @param {string} toolName - Name of the tool
+   * @returns {boolean} True if the call needs the shopper's confirmation
+   */
+  requiresConfirmation(toolName) {
+    const destructive = this.destructiveTools.has(toolName);
+
+    return this.toolPolicy ? requiresConfirmation(this.toolPolicy, toolName, destructive) : destructive;
+  }
+
   /**
    * Calls a tool on the storefront MCP server.
    *
    * @param {string} toolName - Name of the storefront tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, see callTool
    * @returns {Promise<Object>} Result from the tool call
    * @throws {Error} If the tool call fails
    */
-  async callStorefrontTool(toolName, toolArgs) {
+  async callStorefrontTool(toolName, toolArgs, options = {}) {
     try {
       console.log("Calling storefront tool", toolName, toolArgs);
 
@@ -152,7 +495,8 @@ class MCPClient {
           name: toolName,
           arguments: toolArgs,
         },
-        headers
+        headers,
+        options
       );
 
       return response.result || response;
@@ -162,47 +506,104 @@ class MCPClient {
     }
   }
 
+  /**
+   * Calls a tool on one of the merchant's third-party MCP servers.
+   *
+   * @param {string} toolName - Namespaced name of the tool to call
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, see callTool
+   * @returns {Promise<Object>} Result from the tool call, or a tool error if it fails
+   */
+  async callCustomServerTool(toolName, toolArgs, options = {}) {
+    const { server, toolName: serverToolName } = this.customServerTools.get(toolName);
+
+    try {
+      console.log(`Calling ${server.name} tool`, serverToolName, toolArgs);
+
+      const headers = {
+        "Content-Type": "application/json",
+        ...server.headers
+      };
+
+      const response = await this._makeJsonRpcRequest(
+        server.url,
+        "tools/call",
+        {
+          name: serverToolName,
+          arguments: toolArgs,
+        },
+        headers,
+        options
+      );
+
+      return response.result || response;
+    } catch (error) {
+      console.error(`Error calling tool ${toolName}:`, error);
+
+      const unavailable = this._toolUnavailableResult(toolName, error);
+      if (unavailable) {
+        return unavailable;
+      }
+
+      // Details of third-party failures stay in the logs rather than reaching the model and the shopper
+      return {
+        error: {
+          type: "internal_error",
+          data: `The ${toolName} tool failed. Don't call it again in this turn; let the customer know it is temporarily unavailable.`
+        }
+      };
+    }
+  }
+
   /**
    * Calls a tool on the customer MCP server.
    * Handles authentication if needed.
    *
    * @param {string} toolName - Name of the customer tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
+   * @param {Object} [options] - Call options, see callTool
    * @returns {Promise<Object>} Result from the tool call or auth error
    * @throws {Error} If the tool call fails
    */
-  async callCustomerTool(toolName, toolArgs) {
+  async callCustomerTool(toolName, toolArgs, options = {}) {
     try {
       console.log("Calling customer tool", toolName, toolArgs);
-      // First try to get a token from the database for this conversation
-      let accessToken = this.customerAccessToken;
+      // Tokens about to expire are refreshed before the call
+      const accessToken = await this._getCustomerAccessToken();
+
+      const callWithToken = (token) => this._makeJsonRpcRequest(
+        this.customerMcpEndpoint,
+        "tools/call",
+        {
+          name: toolName,
+          arguments: toolArgs,
+        },
+        {
+          "Content-Type": "application/json",
+          "Authorization": token
+        },
+        options
+      );
 
-      if (!accessToken || accessToken === "") {
-        const dbToken = await getCustomerToken(this.conversationId);
+      try {
+        let response;
+        try {
+          response = await callWithToken(accessToken);
+        } catch (error) {
+          // The token may have been revoked or expired early, so refresh it and try once more
+          if (error.status !== 401 || !this.customerToken?.refreshToken) {
+            throw error;
+          }
 
-        if (dbToken && dbToken.accessToken) {
-          accessToken = dbToken.accessToken;
-          this.customerAccessToken = accessToken; // Store it for later use
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
-      }
+          console.log("Unauthorized, refreshing the customer token and retrying", toolName);
+          const refreshedToken = await this._refreshCustomerToken();
 
-      const headers = {
-        "Content-Type": "application/json",
-        "Authorization": accessToken
-      };
+          if (!refreshedToken) {
+            throw error;
+          }
 
-      try {
-        const response = await this._makeJsonRpcRequest(
-          this.customerMcpEndpoint,
-          "tools/call",
-          {
-            name: toolName,
-            arguments: toolArgs,
-          },
-          headers
-        );
+          response = await callWithToken(refreshedToken.accessToken);
+        }
 
         return response.result || response;
       } catch (error) {
@@ -227,6 +628,12 @@ class MCPClient {
       }
     } catch (error) {
       console.error(`Error calling tool ${toolName}:`, error);
+
+      const unavailable = this._toolUnavailableResult(toolName, error);
+      if (unavailable) {
+        return unavailable;
+      }
+
       return {
         error: {
           type: "internal_error",
@@ -237,36 +644,811 @@ class MCPClient {
   }
 
   /**
-   * Makes a JSON-RPC request to the specified endpoint.
+   * Ends all open MCP sessions. Servers that issued a session ID are asked to
+   * terminate it; servers that do not allow this answer 405, which is fine.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const sessions = Array.from(this.sessions.entries());
+    this.sessions.clear();
+
+    await Promise.all(sessions.map(async ([endpoint, sessionPromise]) => {
+      try {
+        const session = await sessionPromise;
+        session.serverStream?.abort();
+        if (!session.sessionId) return;
+
+        const response = await fetch(endpoint, {
+          method: "DELETE",
+          headers: this._sessionHeaders(session.headers, session),
+          ...this._fetchOptions(endpoint)
+        });
+
+        if (!response.ok && response.status !== 405) {
+          console.warn(`Failed to end MCP session at ${endpoint}: ${response.status}`);
+        }
+      } catch (error) {
+        // Sessions that never opened have nothing to end
+        console.warn(`Failed to end MCP session at ${endpoint}:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Rebuilds the combined tool list, leaving out the tools the shop's policy does not allow.
+   * The order is fixed so the tools sent to the model are the same on every turn, whichever
+   * server answered first.
    *
    * @private
-   * @param {string} endpoint - The endpoint URL
-   * @param {string} method - The JSON-RPC method to call
-   * @param {Object} params - Parameters for the method
-   * @param {Object} headers - HTTP headers for the request
-   * @returns {Promise<Object>} Parsed JSON response
-   * @throws {Error} If the request fails
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: method,
-        id: 1,
-        params: params
-      }),
+  _updateTools() {
+    const tools = [...this.storefrontTools, ...this.customerTools, ...this.customTools];
+    this.tools = this.toolPolicy ? applyToolPolicy(tools, this.toolPolicy) : tools;
+  }
+
+  /**
+   * Remembers which tools are read-only and which may change or delete data, and the tools'
+   * output schemas. As in the MCP spec, tools are destructive unless they set `readOnlyHint`
+   * or `destructiveHint: false`; tools listed in `AppConfig.mcp.readOnlyTools` only read data.
+   *
+   * @private
+   * @param {Array} toolsData - Raw tools data, named as the model sees them
+   */
+  _trackToolAnnotations(toolsData) {
+    toolsData.forEach((tool) => {
+      if (tool.outputSchema) {
+        this.outputSchemas.set(tool.name, tool.outputSchema);
+      }
+
+      if (tool.annotations?.readOnlyHint) {
+        this.readOnlyTools.add(tool.name);
+      } else if (tool.annotations?.destructiveHint !== false && !AppConfig.mcp.readOnlyTools.includes(tool.name)) {
+        this.destructiveTools.add(tool.name);
+      }
     });
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      const errorObj = new Error(`Request failed: ${response.status} ${error}`);
-      errorObj.status = response.status;
-      throw errorObj;
+  /**
+   * Checks whether a tool only reads data, so calling it again cannot change anything.
+   *
+   * @private
+   * @param {string} toolName - Name of the tool
+   * @returns {boolean} True for read-only tools
+   */
+  _isReadOnlyTool(toolName) {
+    return this.readOnlyTools.has(toolName) || AppConfig.mcp.readOnlyTools.includes(toolName);
+  }
+
+  /**
+   * Turns a timeout, a cancelled call or an open circuit into a tool error that tells the
+   * model what happened.
+   *
+   * @private
+   * @param {string} toolName - Name of the tool
+   * @param {Error} error - The error the call failed with
+   * @returns {Object|null} The tool error, or null for other errors
+   */
+  _toolUnavailableResult(toolName, error) {
+    if (error.code === "timeout") {
+      return {
+        error: {
+          type: "tool_timeout",
+          data: `The ${toolName} tool did not respond in time. Don't call it again in this turn; let the customer know it is temporarily unavailable.`
+        }
+      };
+    }
+
+    if (error.code === "cancelled") {
+      return {
+        error: {
+          type: "tool_cancelled",
+          data: `The ${toolName} call was cancelled because the reply ran out of time. Let the customer know and ask them to try again.`
+        }
+      };
+    }
+
+    if (error.code === "circuit_open") {
+      return {
+        error: {
+          type: "tool_unavailable",
+          data: `The ${toolName} tool is temporarily unavailable because its server is not responding. Don't call it again in this turn; let the customer know and offer to help with something else.`
+        }
+      };
     }
 
-    return await response.json();
+    return null;
+  }
+
+  /**
+   * Gets the customer's access token for this conversation, refreshing it first if it
+   * expires soon and a refresh token is stored.
+   *
+   * @private
+   * @returns {Promise<string>} The access token, or an empty string if there is no usable token
+   */
+  async _getCustomerAccessToken() {
+    if (!this.customerToken && this.conversationId) {
+      this.customerToken = await getCustomerToken(this.conversationId, {
+        includeExpired: true,
+        customerId: this.customerId
+      });
+
+      if (!this.customerToken) {
+        console.log("No token in database for conversation:", this.conversationId);
+      }
+    }
+
+    if (!this.customerToken) {
+      return "";
+    }
+
+    const expiresInMs = new Date(this.customerToken.expiresAt).getTime() - Date.now();
+
+    if (this.customerToken.refreshToken && expiresInMs < AppConfig.customerAuth.refreshBeforeExpiryMs) {
+      const refreshedToken = await this._refreshCustomerToken();
+
+      if (refreshedToken) {
+        return refreshedToken.accessToken;
+      }
+    }
+
+    return expiresInMs > 0 ? this.customerToken.accessToken : "";
+  }
+
+  /**
+   * Exchanges the customer's refresh token for a new access token. Parallel tool calls
+   * share one refresh, since the server may rotate the refresh token.
+   *
+   * @private
+   * @returns {Promise<Object|null>} The new customer token, or null if the refresh failed
+   */
+  _refreshCustomerToken() {
+    if (!this.customerTokenRefresh) {
+      console.log("Refreshing customer token for conversation:", this.conversationId);
+
+      this.customerTokenRefresh = refreshCustomerToken(this.conversationId, this.customerToken.refreshToken)
+        .then((token) => {
+          if (token) {
+            this.customerToken = token;
+
+            const connection = this.connections.get("customer");
+            if (connection) {
+              connection.headers = { ...connection.headers, "Authorization": token.accessToken };
+            }
+          } else {
+            // Don't try a refresh token that was rejected again in this chat turn
+            this.customerToken = { ...this.customerToken, refreshToken: null };
+          }
+
+          return token;
+        })
+        .finally(() => {
+          this.customerTokenRefresh = null;
+        });
+    }
+
+    return this.customerTokenRefresh;
+  }
+
+  /**
+   * Lists the tools of an MCP server, if the server offers tools. Lists are cached per
+   * shop, so the handshake and `tools/list` only run when the cached list has expired.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @returns {Promise<Array>} Raw tools data
+   */
+  async _listTools(endpoint, headers) {
+    const cached = getCachedToolList(this.shopId, endpoint);
+    if (cached) {
+      this.serverCapabilities.set(endpoint, cached.capabilities);
+      return cached.tools;
+    }
+
+    this._checkCircuit(endpoint);
+
+    let session;
+    try {
+      session = await this._ensureSession(endpoint, headers);
+    } catch (error) {
+      if (this._isUnavailableError(error)) {
+        recordFailure(endpoint);
+      }
+      throw error;
+    }
+    this.serverCapabilities.set(endpoint, session.capabilities);
+
+    if (session.capabilities && !session.capabilities.tools) {
+      console.log(`MCP server at ${endpoint} does not offer tools`);
+      cacheToolList(this.shopId, endpoint, { tools: [], capabilities: session.capabilities });
+      return [];
+    }
+
+    const response = await this._makeJsonRpcRequest(endpoint, "tools/list", {}, headers);
+
+    if (response.error) {
+      throw new Error(`Failed to list tools: ${response.error.message}`);
+    }
+
+    // Extract tools from the JSON-RPC response format
+    const tools = response.result && response.result.tools ? response.result.tools : [];
+    cacheToolList(this.shopId, endpoint, { tools, capabilities: session.capabilities });
+
+    return tools;
+  }
+
+  /**
+   * Checks whether the server at an endpoint declared a capability in the handshake.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} capability - The capability, e.g. "resources" or "prompts"
+   * @returns {boolean} True if the server offers the capability
+   */
+  _hasCapability(endpoint, capability) {
+    return Boolean(this.serverCapabilities.get(endpoint)?.[capability]);
+  }
+
+  /**
+   * Sends the same request to every connected server that offers a capability.
+   * Servers that fail are skipped.
+   *
+   * @private
+   * @param {string} capability - The capability the servers need
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @returns {Promise<Array>} The `server` name and `result` of each successful request
+   */
+  async _requestEachServer(capability, method, params) {
+    const results = await Promise.all(
+      Array.from(this.connections.entries()).map(async ([server, connection]) => {
+        if (!this._hasCapability(connection.endpoint, capability)) {
+          return null;
+        }
+
+        try {
+          const response = await this._makeJsonRpcRequest(connection.endpoint, method, params, connection.headers);
+          if (response.error) {
+            throw new Error(response.error.message);
+          }
+
+          return { server, result: response.result || {} };
+        } catch (error) {
+          console.warn(`${method} failed for MCP server ${server}:`, error.message);
+          return null;
+        }
+      })
+    );
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Makes a JSON-RPC request to the specified endpoint, opening an MCP session first if needed.
+   * Requests that only read data are retried with backoff when the server times out or is
+   * unavailable; requests to an endpoint whose circuit is open fail straight away.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onProgress] - Receives progress notifications for the request
+   * @param {number} [options.timeoutMs] - Time allowed for each attempt, including the response body
+   * @param {boolean} [options.idempotent] - Whether a tool call may be retried; other methods only read
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {Error} If the request fails; `code` is "timeout" or "circuit_open" when the server is
+   *   unavailable, and "cancelled" when the request was cancelled
+   */
+  async _makeJsonRpcRequest(endpoint, method, params, headers, {
+    onProgress,
+    timeoutMs = AppConfig.mcp.requestTimeoutMs,
+    idempotent = false,
+    signal
+  } = {}) {
+    const { maxAttempts, baseDelayMs } = AppConfig.mcp.retry;
+    const attempts = method !== "tools/call" || idempotent ? maxAttempts : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._attemptJsonRpcRequest(endpoint, method, params, headers, { onProgress, timeoutMs, signal });
+      } catch (error) {
+        if (attempt >= attempts || !this._isUnavailableError(error)) {
+          throw error;
+        }
+
+        const delay = baseDelayMs * 2 ** (attempt - 1);
+        console.warn(`MCP ${method} at ${endpoint} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Makes a single attempt at a JSON-RPC request and records the outcome for the endpoint's circuit.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} options - Request options
+   * @param {Function} [options.onProgress] - Receives progress notifications for the request
+   * @param {number} options.timeoutMs - Time allowed for the attempt, including the response body
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {Error} If the request fails
+   */
+  async _attemptJsonRpcRequest(endpoint, method, params, headers, { onProgress, timeoutMs, signal: cancelSignal }) {
+    this._checkCircuit(endpoint);
+
+    if (cancelSignal?.aborted) {
+      throw this._cancelledError(endpoint, method);
+    }
+
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const signal = cancelSignal ? AbortSignal.any([cancelSignal, timeoutSignal]) : timeoutSignal;
+    const id = this._nextRequestId();
+    const message = {
+      jsonrpc: "2.0",
+      method: method,
+      id: id,
+      // Asking for progress updates with the request ID as the token
+      params: onProgress ? { ...params, _meta: { ...params._meta, progressToken: id } } : params
+    };
+
+    if (onProgress) {
+      this.progressHandlers.set(id, onProgress);
+    }
+
+    try {
+      const sessionPromise = this._ensureSession(endpoint, headers);
+      const session = await sessionPromise;
+      let response;
+
+      try {
+        response = await this._readResponse(
+          endpoint,
+          await this._post(endpoint, message, headers, session, signal),
+          message.id,
+          session
+        );
+      } catch (error) {
+        // The server has ended the session, so start a new one and try once more
+        if (error.status !== 404 || !session.sessionId) {
+          throw error;
+        }
+
+        console.log(`MCP session at ${endpoint} expired, starting a new one`);
+        if (this.sessions.get(endpoint) === sessionPromise) {
+          this.sessions.delete(endpoint);
+        }
+
+        const newSession = await this._ensureSession(endpoint, headers);
+        const retryMessage = { ...message, id: this._nextRequestId() };
+        response = await this._readResponse(
+          endpoint,
+          await this._post(endpoint, retryMessage, headers, newSession, signal),
+          retryMessage.id,
+          newSession
+        );
+      }
+
+      recordSuccess(endpoint);
+      return response;
+    } catch (error) {
+      // A cancelled request says nothing about the server, so it doesn't count against its circuit
+      if (cancelSignal?.aborted) {
+        throw this._cancelledError(endpoint, method);
+      }
+
+      const failure = timeoutSignal.aborted ? this._timeoutError(endpoint, method, timeoutMs) : error;
+
+      if (this._isUnavailableError(failure)) {
+        recordFailure(endpoint);
+      }
+
+      throw failure;
+    } finally {
+      this.progressHandlers.delete(id);
+    }
+  }
+
+  /**
+   * Fails fast while the endpoint's circuit is open.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @throws {Error} With code "circuit_open" if the circuit is open
+   */
+  _checkCircuit(endpoint) {
+    if (isCircuitOpen(endpoint)) {
+      const errorObj = new Error(`MCP server at ${endpoint} is unavailable`);
+      errorObj.code = "circuit_open";
+      throw errorObj;
+    }
+  }
+
+  /**
+   * Creates the error for a request that timed out.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method
+   * @param {number} timeoutMs - The timeout that passed
+   * @returns {Error} Error with code "timeout"
+   */
+  _timeoutError(endpoint, method, timeoutMs) {
+    const errorObj = new Error(`MCP ${method} at ${endpoint} timed out after ${timeoutMs}ms`);
+    errorObj.code = "timeout";
+    return errorObj;
+  }
+
+  /**
+   * Creates the error for a request that was cancelled.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method
+   * @returns {Error} Error with code "cancelled"
+   */
+  _cancelledError(endpoint, method) {
+    const errorObj = new Error(`MCP ${method} at ${endpoint} was cancelled`);
+    errorObj.code = "cancelled";
+    return errorObj;
+  }
+
+  /**
+   * Checks whether an error means the server is unavailable (timed out, unreachable or
+   * failing with a server error), as opposed to rejecting the request.
+   *
+   * @private
+   * @param {Error} error - The error a request failed with
+   * @returns {boolean} True if the server is unavailable
+   */
+  _isUnavailableError(error) {
+    if (error.code === "timeout") return true;
+    if (error.code === "circuit_open" || error.code === "cancelled") return false;
+    if (error.status) return error.status >= 500;
+
+    // fetch rejects with a TypeError when the server cannot be reached
+    return error instanceof TypeError;
+  }
+
+  /**
+   * Reads the response to a JSON-RPC request. Servers answer either with a JSON body or
+   * with an event stream that carries notifications and server requests before the response.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Response} response - The HTTP response
+   * @param {number} requestId - ID of the request being answered
+   * @param {Object} session - The MCP session
+   * @returns {Promise<Object>} The JSON-RPC response
+   * @throws {Error} If the stream ends without a response
+   */
+  async _readResponse(endpoint, response, requestId, session) {
+    const contentType = response.headers.get("Content-Type") || "";
+
+    if (!contentType.includes("text/event-stream")) {
+      return await response.json();
+    }
+
+    for await (const message of this._readEventStream(response.body)) {
+      if (message.id === requestId && ("result" in message || "error" in message)) {
+        return message;
+      }
+
+      await this._handleServerMessage(endpoint, message, session);
+    }
+
+    throw new Error(`MCP server at ${endpoint} closed the stream without answering request ${requestId}`);
+  }
+
+  /**
+   * Reads a server-sent events body and yields each JSON-RPC message in it.
+   *
+   * @private
+   * @param {ReadableStream} body - The response body
+   * @returns {AsyncGenerator<Object>} JSON-RPC messages
+   */
+  async *_readEventStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let data = [];
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop() || "";
+
+        for (const line of lines) {
+          if (line.startsWith("data:")) {
+            data.push(line.slice(5).replace(/^ /, ""));
+            continue;
+          }
+
+          // A blank line ends the event
+          if (line === "" && data.length > 0) {
+            const payload = data.join("\n");
+            data = [];
+
+            try {
+              yield JSON.parse(payload);
+            } catch (error) {
+              console.warn("Skipping malformed MCP event:", payload);
+            }
+          }
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Handles a message the server sent on its own: answers server requests and
+   * dispatches notifications to progress handlers and notification listeners.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} message - The JSON-RPC message
+   * @param {Object} session - The MCP session
+   * @returns {Promise<void>}
+   */
+  async _handleServerMessage(endpoint, message, session) {
+    if (!message.method) return;
+
+    // Requests from the server need a response; only ping is supported as the
+    // client does not declare sampling, roots or elicitation capabilities
+    if (message.id !== undefined) {
+      const reply = message.method === "ping"
+        ? { jsonrpc: "2.0", id: message.id, result: {} }
+        : { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+      try {
+        await this._post(endpoint, reply, session.headers, session);
+      } catch (error) {
+        console.warn(`Failed to answer MCP server request ${message.method}:`, error.message);
+      }
+      return;
+    }
+
+    if (message.method === "notifications/progress") {
+      const onProgress = this.progressHandlers.get(message.params?.progressToken);
+      if (onProgress) {
+        onProgress(message.params);
+      }
+    } else if (message.method === "notifications/message") {
+      console.log(`MCP server log (${message.params?.level}):`, message.params?.data);
+    } else if (message.method === "notifications/tools/list_changed") {
+      // The next turn lists the server's tools again
+      console.log(`MCP server at ${endpoint} changed its tools`);
+      invalidateToolLists(this.shopId, endpoint);
+    } else if (message.method === "notifications/resources/list_changed" ||
+      message.method === "notifications/resources/updated") {
+      // The next turn reads the server's resources again
+      console.log(`MCP server at ${endpoint} changed its resources`);
+      invalidateContextResources(this.shopId, endpoint);
+    }
+
+    this.notificationListeners.forEach(listener => listener(endpoint, message));
+  }
+
+  /**
+   * Opens the stream on which the server can send messages outside of a request.
+   * Servers that do not offer one answer 405.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} session - The MCP session
+   */
+  _openServerStream(endpoint, session) {
+    const controller = new AbortController();
+    session.serverStream = controller;
+
+    fetch(endpoint, {
+      method: "GET",
+      headers: { ...this._sessionHeaders(session.headers, session), "Accept": "text/event-stream" },
+      ...this._fetchOptions(endpoint),
+      signal: controller.signal
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          if (response.status !== 405) {
+            console.warn(`Failed to open MCP server stream at ${endpoint}: ${response.status}`);
+          }
+          return;
+        }
+
+        for await (const message of this._readEventStream(response.body)) {
+          await this._handleServerMessage(endpoint, message, session);
+        }
+      })
+      .catch((error) => {
+        if (error.name !== "AbortError") {
+          console.warn(`MCP server stream at ${endpoint} failed:`, error.message);
+        }
+      });
+  }
+
+  /**
+   * Gets the MCP session for an endpoint, running the initialize handshake on first use.
+   * Concurrent callers share the same handshake.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @returns {Promise<Object>} The session
+   */
+  _ensureSession(endpoint, headers) {
+    if (!this.sessions.has(endpoint)) {
+      const { requestTimeoutMs } = AppConfig.mcp;
+      const signal = AbortSignal.timeout(requestTimeoutMs);
+
+      const sessionPromise = this._initializeSession(endpoint, headers, signal).catch((error) => {
+        // Let the next request retry the handshake
+        this.sessions.delete(endpoint);
+        throw signal.aborted ? this._timeoutError(endpoint, "initialize", requestTimeoutMs) : error;
+      });
+
+      this.sessions.set(endpoint, sessionPromise);
+    }
+
+    return this.sessions.get(endpoint);
+  }
+
+  /**
+   * Runs the MCP initialize handshake: negotiates the protocol version, records the
+   * server's capabilities and session ID, then confirms with `notifications/initialized`.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @param {AbortSignal} [signal] - Aborts the handshake, e.g. when it times out
+   * @returns {Promise<Object>} The session
+   * @throws {Error} If the handshake fails or the server's protocol version is not supported
+   */
+  async _initializeSession(endpoint, headers, signal) {
+    const { protocolVersion, supportedProtocolVersions, clientInfo, clientCapabilities } = AppConfig.mcp;
+
+    const initializeId = this._nextRequestId();
+    const response = await this._post(endpoint, {
+      jsonrpc: "2.0",
+      method: "initialize",
+      id: initializeId,
+      params: {
+        protocolVersion,
+        capabilities: clientCapabilities,
+        clientInfo
+      }
+    }, headers, undefined, signal);
+    const body = await this._readResponse(endpoint, response, initializeId, { headers });
+
+    if (body.error) {
+      // Servers without the handshake are used as before, without a session
+      if (body.error.code === -32601) {
+        console.warn(`MCP server at ${endpoint} does not support initialize, continuing without a session`);
+        return { sessionId: null, protocolVersion: null, capabilities: null, headers };
+      }
+
+      const errorObj = new Error(`MCP initialize failed: ${body.error.message}`);
+      errorObj.code = body.error.code;
+      throw errorObj;
+    }
+
+    const result = body.result || {};
+
+    if (!supportedProtocolVersions.includes(result.protocolVersion)) {
+      throw new Error(`MCP server at ${endpoint} uses unsupported protocol version ${result.protocolVersion}`);
+    }
+
+    const session = {
+      sessionId: response.headers.get("Mcp-Session-Id"),
+      protocolVersion: result.protocolVersion,
+      capabilities: result.capabilities || {},
+      serverInfo: result.serverInfo,
+      headers
+    };
+
+    await this._post(endpoint, { jsonrpc: "2.0", method: "notifications/initialized" }, headers, session, signal);
+
+    // Only servers that keep sessions can route messages to this client later
+    if (session.sessionId && AppConfig.mcp.listenForServerMessages) {
+      this._openServerStream(endpoint, session);
+    }
+
+    return session;
+  }
+
+  /**
+   * Posts a JSON-RPC message to the specified endpoint.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} message - The JSON-RPC message
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} [session] - The MCP session, if one is open
+   * @param {AbortSignal} [signal] - Aborts the request, e.g. when it times out
+   * @returns {Promise<Response>} The response
+   * @throws {Error} If the request fails
+   */
+  async _post(endpoint, message, headers, session, signal) {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Accept": "application/json, text/event-stream",
+        ...this._sessionHeaders(headers, session)
+      },
+      body: JSON.stringify(message),
+      ...this._fetchOptions(endpoint),
+      signal
+    });
+
+    if (!response.ok) {
+      // The body can hold anything the server or a proxy in front of it returns, so it is
+      // only logged; the error reaches the model and the shopper
+      const body = await response.text().catch(() => "");
+      console.warn(`MCP request to ${endpoint} failed with ${response.status}:`, body.slice(0, 500));
+
+      const errorObj = new Error(`Request failed: ${response.status} ${response.statusText}`.trim());
+      errorObj.status = response.status;
+      throw errorObj;
+    }
+
+    return response;
+  }
+
+  /**
+   * Gets the fetch options that keep requests to third-party servers off the app's own
+   * network: redirects could lead to a host that was never checked, and the host's DNS
+   * records could change after it was checked, so each connection checks the address again.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @returns {Object} The fetch `redirect` mode and, for third-party servers, the `dispatcher`
+   */
+  _fetchOptions(endpoint) {
+    if (!this.customEndpoints.has(endpoint)) {
+      return { redirect: "follow" };
+    }
+
+    return { redirect: "error", dispatcher: publicOnlyAgent };
+  }
+
+  /**
+   * Adds the session ID and negotiated protocol version to request headers.
+   *
+   * @private
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} [session] - The MCP session, if one is open
+   * @returns {Object} The headers
+   */
+  _sessionHeaders(headers, session) {
+    return {
+      ...headers,
+      ...(session?.sessionId && { "Mcp-Session-Id": session.sessionId }),
+      ...(session?.protocolVersion && { "MCP-Protocol-Version": session.protocolVersion })
+    };
+  }
+
+  /**
+   * Gets the next JSON-RPC request ID.
+   *
+   * @private
+   * @returns {number} The request ID
+   */
+  _nextRequestId() {
+    return this.nextRequestId++;
   }
 
   /**
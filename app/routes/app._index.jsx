@@ -1,3 +1,5 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -7,10 +9,370 @@ import {
   List,
   Link,
   InlineStack,
+  FormLayout,
+  TextField,
+  Button,
+  ButtonGroup,
+  Badge,
+  Divider,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getMcpServers,
+  saveMcpServer,
+  setMcpServerEnabled,
+  deleteMcpServer,
+  getToolPolicy,
+  saveToolPolicy,
+} from "../db.server";
+import { getShopId } from "../services/shop.server";
+import { publishIdentityKey } from "../services/customer-identity.server";
+import { validateMcpServer } from "../services/mcp-servers.server";
+import {
+  invalidateToolLists,
+  invalidateContextResources,
+} from "../services/tool-cache.server";
+import {
+  validateToolPolicy,
+  formatToolPolicy,
+} from "../services/tool-policy.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const shopId = await getShopId(admin);
+  const servers = await getMcpServers(shopId);
+  const toolPolicy = await getToolPolicy(shopId);
+
+  // Installs from before the key existed only get it here, since afterAuth doesn't run again for them
+  try {
+    if (await publishIdentityKey(admin)) {
+      console.log(`Published the customer identity key for shop ${shopId}`);
+    }
+  } catch (error) {
+    console.error("Failed to publish the customer identity key:", error);
+  }
+
+  return {
+    // Header values can hold credentials, so only their names are sent to the browser
+    mcpServers: servers.map(({ id, name, url, enabled, headers }) => ({
+      id,
+      name,
+      url,
+      enabled,
+      headerNames: Object.keys(headers),
+    })),
+    toolPolicy: formatToolPolicy(toolPolicy),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const shopId = await getShopId(admin);
+  const formData = await request.formData();
+
+  switch (formData.get("intent")) {
+    case "saveMcpServer": {
+      const input = {
+        name: formData.get("name"),
+        url: formData.get("url"),
+        headers: formData.get("headers"),
+      };
+
+      // Saving under an existing name replaces that server
+      const servers = await getMcpServers(shopId);
+      const otherServers = servers.filter(
+        (server) => server.name !== String(input.name || "").trim(),
+      );
+
+      const { server, errors } = await validateMcpServer(
+        input,
+        otherServers.length,
+      );
+      if (!server) {
+        return { errors };
+      }
+
+      await saveMcpServer(shopId, server);
+      // New headers can change which tools and resources the server offers
+      invalidateToolLists(shopId, server.url);
+      invalidateContextResources(shopId, server.url);
+      return { saved: server.name };
+    }
+
+    case "toggleMcpServer":
+      await setMcpServerEnabled(
+        shopId,
+        formData.get("id"),
+        formData.get("enabled") === "true",
+      );
+      return { ok: true };
+
+    case "deleteMcpServer":
+      await deleteMcpServer(shopId, formData.get("id"));
+      return { ok: true };
+
+    case "saveToolPolicy": {
+      const { policy, errors } = validateToolPolicy({
+        allowedTools: formData.get("allowedTools"),
+        deniedTools: formData.get("deniedTools"),
+        confirmationTools: formData.get("confirmationTools"),
+        autoApprovedTools: formData.get("autoApprovedTools"),
+        descriptionOverrides: formData.get("descriptionOverrides"),
+      });
+      if (!policy) {
+        return { errors };
+      }
+
+      await saveToolPolicy(shopId, policy);
+      return { savedToolPolicy: true };
+    }
+
+    default:
+      return { errors: { form: "Unknown action" } };
+  }
+};
+
+/**
+ * Lists the shop's third-party MCP servers and lets the merchant add, disable and remove them
+ * @param {Object} props - Component props
+ * @param {Array} props.servers - Servers from the loader
+ */
+function McpServersCard({ servers }) {
+  const saveFetcher = useFetcher();
+  const rowFetcher = useFetcher();
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const [headers, setHeaders] = useState("");
+
+  const errors = saveFetcher.data?.errors || {};
+  const isSaving = saveFetcher.state !== "idle";
+
+  // Clear the form once a server was saved
+  useEffect(() => {
+    if (saveFetcher.state === "idle" && saveFetcher.data?.saved) {
+      setName("");
+      setUrl("");
+      setHeaders("");
+    }
+  }, [saveFetcher.state, saveFetcher.data]);
+
+  const saveServer = () => {
+    saveFetcher.submit(
+      { intent: "saveMcpServer", name, url, headers },
+      { method: "POST" },
+    );
+  };
+
+  const toggleServer = (server) => {
+    rowFetcher.submit(
+      { intent: "toggleMcpServer", id: server.id, enabled: String(!server.enabled) },
+      { method: "POST" },
+    );
+  };
+
+  const removeServer = (server) => {
+    rowFetcher.submit(
+      { intent: "deleteMcpServer", id: server.id },
+      { method: "POST" },
+    );
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="200">
+          <Text as="h2" variant="headingMd">
+            MCP servers
+          </Text>
+          <Text variant="bodyMd" as="p">
+            Give the chat agent tools from your own MCP servers, such as a
+            loyalty program, reviews or shipment tracking. Each server&apos;s
+            tools are prefixed with its name.
+          </Text>
+        </BlockStack>
+
+        {servers.map((server) => (
+          <InlineStack key={server.id} align="space-between" blockAlign="center">
+            <BlockStack gap="100">
+              <InlineStack gap="200" blockAlign="center">
+                <Text as="span" variant="headingSm">
+                  {server.name}
+                </Text>
+                <Badge tone={server.enabled ? "success" : undefined}>
+                  {server.enabled ? "Enabled" : "Disabled"}
+                </Badge>
+              </InlineStack>
+              <Text as="span" variant="bodySm" tone="subdued">
+                {server.url}
+              </Text>
+              {server.headerNames.length > 0 && (
+                <Text as="span" variant="bodySm" tone="subdued">
+                  Headers: {server.headerNames.join(", ")}
+                </Text>
+              )}
+            </BlockStack>
+            <ButtonGroup>
+              <Button onClick={() => toggleServer(server)}>
+                {server.enabled ? "Disable" : "Enable"}
+              </Button>
+              <Button tone="critical" onClick={() => removeServer(server)}>
+                Remove
+              </Button>
+            </ButtonGroup>
+          </InlineStack>
+        ))}
+
+        {servers.length > 0 && <Divider />}
+
+        <FormLayout>
+          <FormLayout.Group>
+            <TextField
+              label="Name"
+              value={name}
+              onChange={setName}
+              error={errors.name}
+              helpText="Lowercase letters, numbers and hyphens. Saving an existing name replaces that server."
+              autoComplete="off"
+            />
+            <TextField
+              label="URL"
+              value={url}
+              onChange={setUrl}
+              error={errors.url}
+              placeholder="https://example.com/mcp"
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <TextField
+            label="Headers"
+            value={headers}
+            onChange={setHeaders}
+            error={errors.headers || errors.form}
+            helpText="One per line, for example Authorization: Bearer <token>"
+            multiline={3}
+            autoComplete="off"
+          />
+          <Button variant="primary" onClick={saveServer} loading={isSaving}>
+            Save server
+          </Button>
+        </FormLayout>
+      </BlockStack>
+    </Card>
+  );
+}
+
+/**
+ * Lets the merchant choose which tools the chat agent may use, how they are described
+ * to the model and which ones shoppers have to confirm
+ * @param {Object} props - Component props
+ * @param {Object} props.policy - The shop's tool policy, formatted for the form
+ */
+function ToolPolicyCard({ policy }) {
+  const fetcher = useFetcher();
+  const [allowedTools, setAllowedTools] = useState(policy.allowedTools);
+  const [deniedTools, setDeniedTools] = useState(policy.deniedTools);
+  const [confirmationTools, setConfirmationTools] = useState(policy.confirmationTools);
+  const [autoApprovedTools, setAutoApprovedTools] = useState(policy.autoApprovedTools);
+  const [descriptionOverrides, setDescriptionOverrides] = useState(policy.descriptionOverrides);
+
+  const errors = fetcher.data?.errors || {};
+  const isSaving = fetcher.state !== "idle";
+
+  const savePolicy = () => {
+    fetcher.submit(
+      {
+        intent: "saveToolPolicy",
+        allowedTools,
+        deniedTools,
+        confirmationTools,
+        autoApprovedTools,
+        descriptionOverrides,
+      },
+      { method: "POST" },
+    );
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="200">
+          <Text as="h2" variant="headingMd">
+            Tool policy
+          </Text>
+          <Text variant="bodyMd" as="p">
+            Control the tools the chat agent can use. Enter one tool per line,
+            with its server prefix for tools from your own MCP servers, for
+            example loyalty__get_points.
+          </Text>
+        </BlockStack>
+        <FormLayout>
+          <FormLayout.Group>
+            <TextField
+              label="Allowed tools"
+              value={allowedTools}
+              onChange={setAllowedTools}
+              error={errors.allowedTools}
+              helpText="Leave empty to allow all tools"
+              multiline={3}
+              autoComplete="off"
+            />
+            <TextField
+              label="Denied tools"
+              value={deniedTools}
+              onChange={setDeniedTools}
+              error={errors.deniedTools}
+              helpText="Never offered, even if allowed"
+              multiline={3}
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <FormLayout.Group>
+            <TextField
+              label="Tools that need the shopper's confirmation"
+              value={confirmationTools}
+              onChange={setConfirmationTools}
+              error={errors.confirmationTools}
+              helpText="Tools that can change or delete data, like update_cart, need it anyway"
+              multiline={2}
+              autoComplete="off"
+            />
+            <TextField
+              label="Tools that run without confirmation"
+              value={autoApprovedTools}
+              onChange={setAutoApprovedTools}
+              error={errors.autoApprovedTools}
+              helpText="Even if they can change or delete data"
+              multiline={2}
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <TextField
+            label="Description overrides"
+            value={descriptionOverrides}
+            onChange={setDescriptionOverrides}
+            error={errors.descriptionOverrides}
+            helpText="One per line, for example update_cart: Only use this after the shopper asked to change their cart"
+            multiline={3}
+            autoComplete="off"
+          />
+          <InlineStack gap="200" blockAlign="center">
+            <Button variant="primary" onClick={savePolicy} loading={isSaving}>
+              Save tool policy
+            </Button>
+            {fetcher.state === "idle" && fetcher.data?.savedToolPolicy && (
+              <Badge tone="success">Saved</Badge>
+            )}
+          </InlineStack>
+        </FormLayout>
+      </BlockStack>
+    </Card>
+  );
+}
 
 export default function Index() {
+  const { mcpServers, toolPolicy } = useLoaderData();
+
   return (
     <Page>
       <TitleBar title="Shop chat agent reference app">
@@ -18,18 +380,22 @@ export default function Index() {
       <BlockStack gap="500">
         <Layout>
           <Layout.Section>
-            <Card>
-              <BlockStack gap="500">
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Congrats on creating a new Shopify app 🎉
-                  </Text>
-                  <Text variant="bodyMd" as="p">
-                    This is a reference app that adds a chat agent on your storefront, which is powered via claude and can connect shopify mcp platform.
-                  </Text>
+            <BlockStack gap="500">
+              <Card>
+                <BlockStack gap="500">
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">
+                      Congrats on creating a new Shopify app 🎉
+                    </Text>
+                    <Text variant="bodyMd" as="p">
+                      This is a reference app that adds a chat agent on your storefront, which is powered via claude and can connect shopify mcp platform.
+                    </Text>
+                  </BlockStack>
                 </BlockStack>
-              </BlockStack>
-            </Card>
+              </Card>
+              <McpServersCard servers={mcpServers} />
+              <ToolPolicyCard policy={toolPolicy} />
+            </BlockStack>
           </Layout.Section>
           <Layout.Section variant="oneThird">
             <BlockStack gap="500">
@@ -0,0 +1,200 @@
+import { useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  DataTable,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getShopDailyUsage,
+  getShopToolCallStats,
+  getCacheHitRate,
+} from "../services/usage.server";
+import { getShopId } from "../services/shop.server";
+import AppConfig from "../services/config.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const shopId = await getShopId(admin);
+
+  return {
+    days: AppConfig.usage.reportDays,
+    dailyUsage: await getShopDailyUsage(shopId),
+    toolCallStats: await getShopToolCallStats(shopId),
+  };
+};
+
+/**
+ * Formats a number of tokens for display
+ * @param {number} value - Token count
+ * @returns {string} Formatted count
+ */
+function formatTokens(value) {
+  return value.toLocaleString("en-US");
+}
+
+/**
+ * Formats a USD amount for display
+ * @param {number} value - Amount in USD
+ * @returns {string} Formatted amount
+ */
+function formatCost(value) {
+  return `$${value.toFixed(4)}`;
+}
+
+/**
+ * Formats a cache hit rate for display
+ * @param {Object} total - A usage total
+ * @returns {string} Formatted percentage
+ */
+function formatHitRate(total) {
+  return `${Math.round(getCacheHitRate(total) * 100)}%`;
+}
+
+/**
+ * Formats the share of a model's tool calls that had invalid arguments
+ * @param {Object} stats - A model's tool call stats
+ * @returns {string} Formatted percentage
+ */
+function formatInvalidRate(stats) {
+  return `${(stats.invalidRate * 100).toFixed(1)}%`;
+}
+
+export default function Usage() {
+  const { days, dailyUsage, toolCallStats } = useLoaderData();
+
+  const totals = dailyUsage.reduce(
+    (sum, day) => ({
+      messages: sum.messages + day.messages,
+      inputTokens: sum.inputTokens + day.inputTokens,
+      outputTokens: sum.outputTokens + day.outputTokens,
+      cacheCreationTokens: sum.cacheCreationTokens + day.cacheCreationTokens,
+      cacheReadTokens: sum.cacheReadTokens + day.cacheReadTokens,
+      cost: sum.cost + day.cost,
+    }),
+    {
+      messages: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationTokens: 0,
+      cacheReadTokens: 0,
+      cost: 0,
+    },
+  );
+
+  const rows = dailyUsage.map((day) => [
+    day.date,
+    day.messages,
+    formatTokens(day.inputTokens),
+    formatTokens(day.outputTokens),
+    formatTokens(day.cacheCreationTokens),
+    formatTokens(day.cacheReadTokens),
+    formatHitRate(day),
+    formatCost(day.cost),
+  ]);
+
+  const toolCallRows = toolCallStats.map((stats) => [
+    stats.model,
+    stats.calls,
+    stats.invalidArguments,
+    stats.invalidResults,
+    formatInvalidRate(stats),
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="Usage" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Token usage for the last {days} days
+              </Text>
+              {rows.length === 0 ? (
+                <Text as="p" variant="bodyMd">
+                  No usage recorded yet.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                  ]}
+                  headings={[
+                    "Date (UTC)",
+                    "Model calls",
+                    "Input tokens",
+                    "Output tokens",
+                    "Cache writes",
+                    "Cache reads",
+                    "Cache hit rate",
+                    "Cost",
+                  ]}
+                  rows={rows}
+                  totals={[
+                    "",
+                    totals.messages,
+                    formatTokens(totals.inputTokens),
+                    formatTokens(totals.outputTokens),
+                    formatTokens(totals.cacheCreationTokens),
+                    formatTokens(totals.cacheReadTokens),
+                    formatHitRate(totals),
+                    formatCost(totals.cost),
+                  ]}
+                  showTotalsInFooter
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Tool calls by model for the last {days} days
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                Calls with invalid arguments are rejected before they reach the
+                tool, and the model is asked to correct them.
+              </Text>
+              {toolCallRows.length === 0 ? (
+                <Text as="p" variant="bodyMd">
+                  No tool calls recorded yet.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                    "numeric",
+                  ]}
+                  headings={[
+                    "Model",
+                    "Tool calls",
+                    "Invalid arguments",
+                    "Invalid results",
+                    "Invalid argument rate",
+                  ]}
+                  rows={toolCallRows}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
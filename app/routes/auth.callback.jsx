@@ -1,5 +1,16 @@
-import { json } from "@remix-run/node";
-import { getCodeVerifier, storeCustomerToken } from "../db.server";
+import { getCodeVerifier, storeCustomerToken, getOrCreateCustomer, linkConversationToCustomer } from "../db.server";
+import { getAuthorizationServerMetadata } from "../auth.server";
+import { verifyOAuthState, OAuthStateError } from "../services/oauth-state.server";
+import { getAccountIdFromIdToken } from "../services/customer-identity.server";
+
+/**
+ * Messages for the states a callback is rejected in
+ */
+const STATE_ERRORS = {
+  [OAuthStateError.INVALID]: "This sign-in link is not valid. Close this window and ask the assistant to sign you in again.",
+  [OAuthStateError.EXPIRED]: "This sign-in link has expired. Close this window and ask the assistant to sign you in again.",
+  used: "This sign-in link has already been used. Close this window and return to your conversation."
+};
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -8,18 +19,51 @@ export async function loader({ request }) {
   const url = new URL(request.url);
   const code = url.searchParams.get("code");
   const state = url.searchParams.get("state");
-  const [conversationId, shopId] = state.split("-");
+
+  // Check the state before anything else, so a forged one can't bind a token to another conversation
+  const { payload, error: stateError } = verifyOAuthState(state);
+
+  if (stateError) {
+    console.warn("Rejected OAuth callback with an invalid state:", stateError);
+    return errorPage("Sign-in failed", STATE_ERRORS[stateError], 400);
+  }
+
+  const { conversationId, shopId } = payload;
+
+  if (url.searchParams.get("error")) {
+    return errorPage("Sign-in cancelled", "You can close this window and return to your conversation.", 400);
+  }
 
   if (!code) {
-    return json({ error: "Authorization code is missing" }, { status: 400 });
+    return errorPage("Sign-in failed", "The authorization code is missing. Close this window and ask the assistant to sign you in again.", 400);
+  }
+
+  // The code verifier can only be retrieved once, which makes the state single-use
+  const verifierRecord = await getCodeVerifier(state);
+
+  if (!verifierRecord) {
+    console.warn("OAuth state was already used or has no code verifier, conversation:", conversationId);
+    return errorPage("Sign-in failed", STATE_ERRORS.used, 400);
   }
 
   try {
     // Exchange code for access token
-    const tokenResponse = await exchangeCodeForToken(code, state);
+    const tokenResponse = await exchangeCodeForToken(code, {
+      conversationId,
+      shopId,
+      codeVerifier: verifierRecord.verifier
+    });
 
     // Store token in database
     try {
+      // Link the conversation to the customer who signed in, so the token also serves
+      // their other conversations
+      const accountId = getAccountIdFromIdToken(tokenResponse.id_token);
+      if (accountId) {
+        const customer = await getOrCreateCustomer(shopId, accountId);
+        await linkConversationToCustomer(conversationId, shopId, customer.id);
+      }
+
       // Calculate expiration date based on expires_in (seconds)
       const expiresAt = new Date();
       expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
@@ -28,7 +72,9 @@ export async function loader({ request }) {
       await storeCustomerToken(
         conversationId,
         tokenResponse.access_token,
-        expiresAt
+        expiresAt,
+        tokenResponse.refresh_token,
+        { signIn: true }
       );
 
       console.log('Stored customer token in database for conversation:', conversationId);
@@ -81,20 +127,54 @@ export async function loader({ request }) {
   } catch (error) {
     console.error("Error exchanging code for token:", error);
     console.log("shopId", shopId);
-    return json({ error: "Failed to obtain access token" }, { status: 500 });
+    return errorPage("Sign-in failed", "We couldn't complete sign-in. Close this window and try again.", 500);
   }
 }
 
+/**
+ * Render a page explaining why sign-in did not complete
+ * @param {string} title - The page title
+ * @param {string} message - What happened and what to do next
+ * @param {number} status - The HTTP status
+ * @returns {Response} - The HTML response
+ */
+function errorPage(title, message, status) {
+  return new Response(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${title}</title>
+        <style>
+          body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }
+          .error { color: #b42318; font-size: 18px; }
+        </style>
+      </head>
+      <body>
+        <h2>${title}</h2>
+        <p class="error">${message}</p>
+      </body>
+      </html>
+    `, {
+    status,
+    headers: {
+      "Content-Type": "text/html"
+    }
+  });
+}
+
 /**
  * Exchange authorization code for access token
  * @param {string} code - The authorization code
+ * @param {Object} params - The verified authorization request
+ * @param {string} params.conversationId - The conversation ID from the state
+ * @param {string} params.shopId - The shop ID from the state
+ * @param {string} params.codeVerifier - The PKCE code verifier stored for the state
  * @returns {Promise<Object>} - The token response
  */
-async function exchangeCodeForToken(code, state) {
+async function exchangeCodeForToken(code, { conversationId, shopId, codeVerifier }) {
   const clientId = process.env.SHOPIFY_API_KEY;
-  const [conversationId, shopId] = state.split("-");
-  if (!clientId || !shopId) {
-    throw new Error("SHOPIFY_CLIENT_ID and SHOPIFY_SHOP_ID environment variables are required");
+  if (!clientId) {
+    throw new Error("SHOPIFY_API_KEY environment variable is required");
   }
 
   const redirectUri = process.env.REDIRECT_URL;
@@ -106,33 +186,14 @@ async function exchangeCodeForToken(code, state) {
     throw new Error("Token URL not found");
   }
 
-  // Get the code verifier that corresponds to this authorization request from database
-  let codeVerifier = "";
-  try {
-    const verifierRecord = await getCodeVerifier(state);
-    if (verifierRecord) {
-      codeVerifier = verifierRecord.verifier;
-    } else {
-      console.warn("Code verifier not found for state:", state);
-      // Proceed anyway, since we might be using an older flow without PKCE
-    }
-  } catch (error) {
-    console.error("Error retrieving code verifier:", error);
-    // Proceed anyway and attempt the token exchange
-  }
-
   const requestBody = {
     grant_type: "authorization_code",
     client_id: clientId,
     code: code,
-    redirect_uri: redirectUri
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
   };
 
-  // Add code_verifier if we have it
-  if (codeVerifier) {
-    requestBody.code_verifier = codeVerifier;
-  }
-
   // Format the request as x-www-form-urlencoded instead of JSON
   const formData = new URLSearchParams();
   for (const [key, value] of Object.entries(requestBody)) {
@@ -164,22 +225,6 @@ async function exchangeCodeForToken(code, state) {
  * @returns {Promise<string|null>} - The token URL or null if not found
  */
 async function getTokenUrl(shopId, conversationId) {
-  const { getCustomerAccountUrl } = await import('../db.server');
-  const customerAccountUrl = await getCustomerAccountUrl(conversationId);
-  if (!customerAccountUrl) {
-    console.error('Customer account URL not found for conversation:', conversationId);
-    return null;
-  }
-
-  const endpoint = `${customerAccountUrl}/.well-known/oauth-authorization-server`;
-  const response = await fetch(endpoint);
-
-  if (!response.ok) {
-    console.error('Failed to fetch base auth URL from:', endpoint, response.status);
-
-    return null;
-  }
-
-  const data = await response.json();
-  return data.token_endpoint;
+  const metadata = await getAuthorizationServerMetadata(conversationId);
+  return metadata?.token_endpoint || null;
 }
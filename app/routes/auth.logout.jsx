@@ -0,0 +1,99 @@
+/**
+ * Customer Logout Route
+ * Signs the shopper out of their customer account in a conversation: revokes the
+ * conversation's tokens at the authorization server and deletes them locally.
+ * Like chat requests, sign-outs have to come from the shop's storefront, and the
+ * tokens of the logged-in customer are only included when the storefront vouches for them.
+ */
+import { json } from "@remix-run/node";
+import { getCustomerToken, deleteCustomerTokens, getConversation } from "../db.server";
+import { revokeCustomerToken } from "../auth.server";
+import { getStorefrontShopId } from "../services/shop.server";
+import { getVerifiedCustomer } from "../services/customer-identity.server";
+
+/**
+ * Remix loader function, only used for CORS preflight requests
+ */
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  return json({ error: "Method not allowed" }, { status: 405, headers: getCorsHeaders(request) });
+}
+
+/**
+ * Remix action function, posted as JSON with `conversation_id` and, for a logged-in
+ * customer, `customer_id` and `customer_signature`
+ */
+export async function action({ request }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = {};
+  }
+
+  const conversationId = body.conversation_id ? String(body.conversation_id) : null;
+
+  if (!conversationId) {
+    return json(
+      { error: "conversation_id is required" },
+      { status: 400, headers: getCorsHeaders(request) }
+    );
+  }
+
+  try {
+    // Only the shop's storefront can sign out of its conversations
+    const shopId = getStorefrontShopId(request);
+    const conversation = shopId ? await getConversation(conversationId) : null;
+
+    if (!conversation || conversation.shopId !== shopId) {
+      console.warn(`Rejecting sign-out of conversation ${conversationId} for shop ${request.headers.get("X-Shopify-Shop-Id")}`);
+      return json(
+        { error: "Conversation not found" },
+        { status: 403, headers: getCorsHeaders(request) }
+      );
+    }
+
+    const customer = body.customer_id
+      ? await getVerifiedCustomer(shopId, body.customer_id, body.customer_signature)
+      : null;
+
+    // Expired tokens are revoked too, since their refresh token may still be valid
+    const token = await getCustomerToken(conversationId, { includeExpired: true, customerId: customer?.id });
+
+    // The local tokens are deleted even if revocation fails, so the shopper is signed out here either way
+    const revoked = token ? await revokeCustomerToken(conversationId, token) : false;
+    await deleteCustomerTokens(conversationId, { customerId: customer?.id });
+
+    console.log(`Signed out customer for conversation ${conversationId}`, revoked ? 'and revoked their tokens' : 'without revoking their tokens');
+
+    return json({ status: "signed_out", revoked }, { headers: getCorsHeaders(request) });
+  } catch (error) {
+    console.error("Error signing out customer:", error);
+    return json(
+      { error: "Failed to sign out" },
+      { status: 500, headers: getCorsHeaders(request) }
+    );
+  }
+}
+
+/**
+ * Gets CORS headers for the response
+ * @param {Request} request - The request object
+ * @returns {Object} CORS headers object
+ */
+function getCorsHeaders(request) {
+  const origin = request.headers.get("Origin") || "*";
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept, X-Shopify-Shop-Id, X-Shopify-Shop-Signature",
+    "Access-Control-Max-Age": "86400"
+  };
+}
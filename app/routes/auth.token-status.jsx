@@ -1,5 +1,6 @@
 import { json } from "@remix-run/node";
 import { getCustomerToken } from "../db.server";
+import { getVerifiedCustomer } from "../services/customer-identity.server";
 
 /**
  * API endpoint for checking if a customer token is available for a given conversation ID
@@ -21,8 +22,17 @@ export async function loader({ request }) {
   }
 
   try {
+    // The logged-in customer's sign-in counts too, if the storefront vouches for them
+    const customer = url.searchParams.has("customer_id")
+      ? await getVerifiedCustomer(
+        url.searchParams.get("shop_id"),
+        url.searchParams.get("customer_id"),
+        url.searchParams.get("customer_signature")
+      )
+      : null;
+
     // Check if a token exists for this conversation ID
-    const token = await getCustomerToken(conversationId);
+    const token = await getCustomerToken(conversationId, { customerId: customer?.id });
     
     if (token) {
       // Token exists and is valid
@@ -0,0 +1,68 @@
+/**
+ * Chat Confirmation Route
+ * Receives the shopper's decision on a tool call that waits for their confirmation
+ */
+import { json } from "@remix-run/node";
+import { resolveConfirmation } from "../services/confirmation.server";
+
+/**
+ * Remix loader function, only used for CORS preflight requests
+ */
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: getCorsHeaders(request)
+    });
+  }
+
+  return json({ error: "Method not allowed" }, { status: 405, headers: getCorsHeaders(request) });
+}
+
+/**
+ * Remix action function for the widget's decision, posted as JSON with
+ * `conversation_id`, `confirmation_id` and `approved`
+ */
+export async function action({ request }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = {};
+  }
+
+  const { conversation_id: conversationId, confirmation_id: confirmationId, approved } = body;
+
+  if (!conversationId || !confirmationId || typeof approved !== "boolean") {
+    return json(
+      { error: "conversation_id, confirmation_id and approved are required" },
+      { status: 400, headers: getCorsHeaders(request) }
+    );
+  }
+
+  // The turn may have ended or the confirmation expired in the meantime
+  if (!resolveConfirmation(String(conversationId), String(confirmationId), approved)) {
+    return json(
+      { error: "This confirmation is no longer pending" },
+      { status: 404, headers: getCorsHeaders(request) }
+    );
+  }
+
+  return json({ status: "ok" }, { headers: getCorsHeaders(request) });
+}
+
+/**
+ * Gets CORS headers for the response
+ * @param {Request} request - The request object
+ * @returns {Object} CORS headers object
+ */
+function getCorsHeaders(request) {
+  const origin = request.headers.get("Origin") || "*";
+
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    "Access-Control-Max-Age": "86400"
+  };
+}
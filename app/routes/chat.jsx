@@ -2,14 +2,33 @@
  * Chat API Route
  * Handles chat interactions with Claude API and tools
  */
+import { randomUUID } from "crypto";
 import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
-import { saveMessage, getConversationHistory, storeCustomerAccountUrl, getCustomerAccountUrl } from "../db.server";
+import {
+  saveMessage,
+  getConversation,
+  getConversationHistory,
+  storeCustomerAccountUrl,
+  getCustomerAccountUrl,
+  getMcpServers,
+  getToolPolicy,
+  saveToolCall,
+  getCustomer,
+  getOrCreateCustomer,
+  getCustomerConversations,
+  linkConversationToCustomer
+} from "../db.server";
 import AppConfig from "../services/config.server";
 import { createSseStream } from "../services/streaming.server";
-import { createClaudeService } from "../services/claude.server";
-import { createGeminiService } from "../services/gemini.server";
+import { createAiService } from "../services/ai-providers.server";
 import { createToolService } from "../services/tool.server";
+import { getBudgetStatus, BudgetState } from "../services/budget.server";
+import { createContextManager } from "../services/context.server";
+import { isMcpPromptType } from "../services/mcp-servers.server";
+import { requestConfirmation, summarizeToolCall, ConfirmationDecision } from "../services/confirmation.server";
+import { normalizeAccountId, verifyCustomerIdentity } from "../services/customer-identity.server";
+import { getStorefrontShopId } from "../services/shop.server";
 import { unauthenticated } from "../shopify.server";
 
 
@@ -32,6 +51,11 @@ export async function loader({ request }) {
     return handleHistoryRequest(request, url.searchParams.get('conversation_id'));
   }
 
+  // Handle a logged-in customer's history - matches /chat?history=true&shop_id=...&customer_id=...&customer_signature=...
+  if (url.searchParams.has('history') && url.searchParams.has('customer_id')) {
+    return handleCustomerHistoryRequest(request, url.searchParams);
+  }
+
   // Handle SSE requests
   if (!url.searchParams.has('history') && request.headers.get("Accept") === "text/event-stream") {
     return handleChatRequest(request);
@@ -58,7 +82,9 @@ export async function action({ request }) {
  * @returns {Response} JSON response with chat history
  */
 async function handleHistoryRequest(request, conversationId) {
-  const messages = await getConversationHistory(conversationId);
+  // Summaries are only used to build the model's context
+  const messages = (await getConversationHistory(conversationId))
+    .filter(message => message.role !== 'summary');
 
   return json(
     { messages },
@@ -66,6 +92,80 @@ async function handleHistoryRequest(request, conversationId) {
   );
 }
 
+/**
+ * Handle history requests for a customer the storefront vouches for, returning their most
+ * recent conversation so it continues in a new browser session
+ * @param {Request} request - The request object
+ * @param {URLSearchParams} searchParams - `shop_id`, `customer_id` and `customer_signature`
+ * @returns {Response} JSON response with the conversation ID and its history
+ */
+async function handleCustomerHistoryRequest(request, searchParams) {
+  const shopId = searchParams.get('shop_id');
+  const accountId = normalizeAccountId(searchParams.get('customer_id'));
+
+  if (!verifyCustomerIdentity(shopId, accountId, searchParams.get('customer_signature'))) {
+    return json(
+      { error: AppConfig.errorMessages.invalidCustomerSignature },
+      { status: 403, headers: getCorsHeaders(request) }
+    );
+  }
+
+  const customer = await getCustomer(shopId, accountId);
+  const [conversation] = customer ? await getCustomerConversations(customer.id, { limit: 1 }) : [];
+
+  if (!conversation) {
+    return json(
+      { conversation_id: null, messages: [] },
+      { headers: getCorsHeaders(request) }
+    );
+  }
+
+  const messages = (await getConversationHistory(conversation.id))
+    .filter(message => message.role !== 'summary');
+
+  return json(
+    { conversation_id: conversation.id, messages },
+    { headers: getCorsHeaders(request) }
+  );
+}
+
+/**
+ * Link a conversation to the logged-in customer the storefront vouches for, so it can use
+ * the customer's sign-in and shows up in their history
+ * @param {string} shopId - The verified shop ID
+ * @param {Object} body - The request body, with `customer_id` and `customer_signature`
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<{conversationId: string, customerId: string|null}>} The conversation ID to use,
+ *   which is a new one if the conversation belongs to another customer, and the verified customer's ID
+ */
+async function linkLoggedInCustomer(shopId, body, conversationId) {
+  const accountId = normalizeAccountId(body.customer_id);
+
+  if (!accountId) {
+    return { conversationId, customerId: null };
+  }
+
+  if (!verifyCustomerIdentity(shopId, accountId, body.customer_signature)) {
+    console.warn(`Ignoring customer ${accountId} with an invalid signature for shop ${shopId}`);
+    return { conversationId, customerId: null };
+  }
+
+  const customer = await getOrCreateCustomer(shopId, accountId);
+  const conversation = await getConversation(conversationId);
+
+  // Another customer logged in on this browser; don't give them the previous customer's conversation
+  if (conversation?.customerId && conversation.customerId !== customer.id) {
+    console.log(`Conversation ${conversationId} belongs to another customer, starting a new one`);
+    conversationId = randomUUID();
+  }
+
+  if (conversation?.customerId !== customer.id) {
+    await linkConversationToCustomer(conversationId, shopId, customer.id);
+  }
+
+  return { conversationId, customerId: customer.id };
+}
+
 /**
  * Handle chat requests (both GET and POST)
  * @param {Request} request - The request object
@@ -85,17 +185,51 @@ async function handleChatRequest(request) {
       );
     }
 
+    // Shop-scoped settings and credentials are only loaded for the shop the request comes from
+    const shopId = getStorefrontShopId(request);
+
+    if (!shopId) {
+      console.warn(`Rejecting chat request with an unverified shop ID ${request.headers.get("X-Shopify-Shop-Id")}`);
+      return json(
+        { error: AppConfig.errorMessages.unknownShop },
+        { status: 403, headers: getCorsHeaders(request) }
+      );
+    }
+
     // Generate or use existing conversation ID
-    const conversationId = body.conversation_id || Date.now().toString();
+    let conversationId = body.conversation_id ? String(body.conversation_id) : randomUUID();
+
+    // A conversation of another shop must not continue with this shop's settings and tools
+    const conversation = body.conversation_id ? await getConversation(conversationId) : null;
+    if (conversation?.shopId && conversation.shopId !== shopId) {
+      console.warn(`Rejecting conversation ${conversationId} of shop ${conversation.shopId} for shop ${shopId}`);
+      return json(
+        { error: AppConfig.errorMessages.unknownConversation },
+        { status: 403, headers: getCorsHeaders(request) }
+      );
+    }
+
+    // The customer's tokens are only used when the storefront vouches for them in this request
+    let customerId = null;
+    try {
+      ({ conversationId, customerId } = await linkLoggedInCustomer(shopId, body, conversationId));
+    } catch (error) {
+      // The chat works without a linked customer, they just sign in again
+      console.error('Error linking the logged-in customer:', error);
+    }
     const promptType = body.prompt_type || AppConfig.api.defaultPromptType;
+    const provider = body.provider;
 
     // Create a stream for the response
     const responseStream = createSseStream(async (stream) => {
       await handleChatSession({
         request,
+        shopId,
+        customerId,
         userMessage,
         conversationId,
         promptType,
+        provider,
         stream
       });
     });
@@ -116,53 +250,94 @@ async function handleChatRequest(request) {
  * Handle a complete chat session
  * @param {Object} params - Session parameters
  * @param {Request} params.request - The request object
+ * @param {string} params.shopId - The verified shop ID
+ * @param {string|null} params.customerId - The customer the storefront vouched for, if any
  * @param {string} params.userMessage - The user's message
  * @param {string} params.conversationId - The conversation ID
  * @param {string} params.promptType - The prompt type
+ * @param {string} params.provider - The AI provider requested by the client, if any
  * @param {Object} params.stream - Stream manager for sending responses
  */
 async function handleChatSession({
   request,
+  shopId,
+  customerId,
   userMessage,
   conversationId,
   promptType,
+  provider,
   stream
 }) {
   // Initialize services
-  let aiService;
-  if (AppConfig.api.defaultProvider === 'gemini') {
-    aiService = createGeminiService();
-  } else {
-    aiService = createClaudeService();
-  }
+  const aiService = createAiService({
+    shopId,
+    requestedProvider: provider,
+    requiredCapabilities: ['toolUse']
+  });
   const toolService = createToolService();
 
   // Initialize MCP client
-  const shopId = request.headers.get("X-Shopify-Shop-Id");
   const shopDomain = request.headers.get("Origin");
   const customerMcpEndpoint = await getCustomerMcpEndpoint(shopDomain, conversationId);
+  // The merchant's tool policy, for the verified shop rather than the shop ID the widget sent
+  const toolPolicy = await getToolPolicy(shopId);
   const mcpClient = new MCPClient(
     shopDomain,
     conversationId,
     shopId,
-    customerMcpEndpoint
+    customerMcpEndpoint,
+    toolPolicy,
+    customerId
   );
 
   try {
     // Send conversation ID to client
     stream.sendMessage({ type: 'id', conversation_id: conversationId });
 
-    // Connect to MCP servers and get available tools
-    let storefrontMcpTools = [], customerMcpTools = [];
+    // Enforce the monthly token budget of the verified shop, so it can't be skipped or spent by sending another shop's ID
+    const budget = await getBudgetStatus(shopId);
 
-    try {
-      storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-      customerMcpTools = await mcpClient.connectToCustomerServer();
+    if (budget.state === BudgetState.EXHAUSTED) {
+      console.warn(`Shop ${shopId} exhausted its monthly token budget (${budget.used}/${budget.limit})`);
+      stream.sendMessage({
+        type: 'assistant_unavailable',
+        message: AppConfig.errorMessages.assistantUnavailable
+      });
+      stream.sendMessage({ type: 'end_turn' });
+      return;
+    }
 
-      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
-      console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
-    } catch (error) {
-      console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
+    // Switch to the cheaper model when the shop nears its limit
+    const modelTier = budget.state === BudgetState.DEGRADED ? 'economy' : 'default';
+
+    // Connect to the MCP servers in parallel and get available tools
+    const [storefrontResult, customerResult, customResult] = await Promise.allSettled([
+      mcpClient.connectToStorefrontServer(),
+      mcpClient.connectToCustomerServer(),
+      // The merchant's own MCP servers
+      getMcpServers(shopId, { enabledOnly: true }).then(customServers =>
+        customServers.length > 0 ? mcpClient.connectToCustomServers(customServers) : []
+      )
+    ]);
+
+    if (storefrontResult.status === 'fulfilled') {
+      console.log(`Connected to MCP with ${storefrontResult.value.length} tools`);
+    } else {
+      console.warn('Failed to connect to storefront MCP server, continuing without its tools:', storefrontResult.reason.message);
+    }
+
+    if (customerResult.status === 'fulfilled') {
+      console.log(`Connected to customer MCP with ${customerResult.value.length} tools`);
+    } else {
+      console.warn('Failed to connect to customer MCP server, continuing without its tools:', customerResult.reason.message);
+    }
+
+    if (customResult.status === 'fulfilled') {
+      if (customResult.value.length > 0) {
+        console.log(`Connected to third-party MCP servers with ${customResult.value.length} tools`);
+      }
+    } else {
+      console.warn('Failed to load third-party MCP servers, continuing without their tools:', customResult.reason.message);
     }
 
     // Prepare conversation state
@@ -170,34 +345,73 @@ async function handleChatSession({
     let productsToDisplay = [];
 
     // Save user message to the database
-    await saveMessage(conversationId, 'user', userMessage);
+    await saveMessage(conversationId, 'user', userMessage, { shopId });
 
     // Fetch all messages from the database for this conversation
     const dbMessages = await getConversationHistory(conversationId);
 
-    // Format messages for Claude API
-    conversationHistory = dbMessages.map(dbMessage => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-      } catch (e) {
-        content = dbMessage.content;
+    // Store policies, FAQs and guides the MCP servers expose as resources
+    const resources = await mcpClient.readContextResources();
+
+    // Fit the history into the model's context window
+    const contextManager = createContextManager(aiService);
+    conversationHistory = await contextManager.buildHistory(conversationId, dbMessages, { resources });
+
+    // Prompt templates from MCP servers replace the system prompt
+    let systemPrompt;
+    if (isMcpPromptType(promptType)) {
+      systemPrompt = await mcpClient.getPromptText(promptType);
+      if (!systemPrompt) {
+        console.warn(`MCP prompt ${promptType} is not available, using the default prompt`);
       }
-      return {
-        role: dbMessage.role,
-        content
-      };
-    });
+    }
+
+    // Execute the conversation stream, within the agent loop limits
+    const { maxToolRounds, maxTurnDurationMs, maxContinuations, continuationPrompt } = AppConfig.chatLoop;
+    const turnStartedAt = Date.now();
+    // Time spent waiting for the shopper to confirm tool calls does not count against the budget
+    let confirmationWaitMs = 0;
+    let toolRounds = 0;
+    let continuations = 0;
+    let turnComplete = false;
+
+    /**
+     * Gets a signal that aborts once the turn's time budget is used up
+     * @param {number} [waitedMs] - Confirmation time not yet counted in confirmationWaitMs
+     * @returns {AbortSignal} The signal
+     */
+    const getTurnDeadlineSignal = (waitedMs = 0) => {
+      const elapsedMs = Date.now() - turnStartedAt - confirmationWaitMs - waitedMs;
+      return AbortSignal.timeout(Math.max(maxTurnDurationMs - elapsedMs, 0));
+    };
+
+    /**
+     * Tells the shopper the turn ran out of time
+     */
+    const stopForTimeBudget = () => {
+      console.warn(`Stopping conversation ${conversationId} after exceeding the ${maxTurnDurationMs}ms time budget`);
+      stream.sendMessage({
+        type: 'time_budget_exceeded',
+        message: AppConfig.errorMessages.timeBudgetExceeded
+      });
+    };
 
-    // Execute the conversation stream
-    let finalMessage = { role: 'user', content: userMessage };
+    while (!turnComplete) {
+      // Confirmations of parallel tool calls are waited for at the same time
+      let roundConfirmationWaitMs = 0;
+      // The model that asked for this round's tool calls, for the tool call metrics
+      let roundModel = null;
+      // A slow model response is cut off when the time budget runs out, not only checked after it
+      const modelSignal = getTurnDeadlineSignal();
 
-    while (finalMessage.stop_reason !== "end_turn") {
-      finalMessage = await aiService.streamConversation(
+      const finalMessage = await aiService.streamConversation(
         {
           messages: conversationHistory,
           promptType,
-          tools: mcpClient.tools
+          systemPrompt,
+          tools: mcpClient.tools,
+          modelTier,
+          signal: modelSignal
         },
         {
           // Handle text chunks
@@ -210,12 +424,16 @@ async function handleChatSession({
 
           // Handle complete messages
           onMessage: (message) => {
+            roundModel = message.model;
             conversationHistory.push({
               role: message.role,
               content: message.content
             });
 
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
+            saveMessage(conversationId, message.role, JSON.stringify(message.content), {
+              model: message.model,
+              usage: message.usage
+            })
               .catch((error) => {
                 console.error("Error saving message to database:", error);
               });
@@ -224,42 +442,90 @@ async function handleChatSession({
             stream.sendMessage({ type: 'message_complete' });
           },
 
-          // Handle tool use requests
-          onToolUse: async (content) => {
-            const toolName = content.name;
-            const toolArgs = content.input;
-            const toolUseId = content.id;
-
-            const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
-
-            stream.sendMessage({
-              type: 'tool_use',
-              tool_use_message: toolUseMessage
-            });
+          // Handle tool use requests, running independent calls in parallel
+          onToolUses: async (toolUses) => {
+            const toolResults = await toolService.executeToolUses(toolUses, async (content) => {
+              const toolName = content.name;
+              const toolArgs = content.input;
+              const toolUseId = content.id;
+              let toolConfirmationWaitMs = 0;
+
+              // Side-effecting tools only run once the shopper has confirmed them
+              if (mcpClient.requiresConfirmation(toolName)) {
+                const waitStartedAt = Date.now();
+                const decision = await confirmToolUse({ conversationId, toolName, toolArgs, toolUseId, stream });
+                toolConfirmationWaitMs = Date.now() - waitStartedAt;
+                roundConfirmationWaitMs = Math.max(roundConfirmationWaitMs, toolConfirmationWaitMs);
+
+                if (decision !== ConfirmationDecision.APPROVED) {
+                  return toolService.createToolResult(
+                    toolUseId,
+                    decision === ConfirmationDecision.REJECTED
+                      ? `The customer declined this ${toolName} call, so it was not carried out. Don't call it again unless they ask; check what they would like instead.`
+                      : `The customer did not confirm this ${toolName} call in time, so it was not carried out.`
+                  );
+                }
+              }
+
+              const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
 
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
+              stream.sendMessage({
+                type: 'tool_use',
+                tool_use_message: toolUseMessage
+              });
 
-            // Handle tool response based on success/error
-            if (toolUseResponse.error) {
-              await toolService.handleToolError(
-                toolUseResponse,
+              // Call the tool
+              let toolUseResponse;
+              try {
+                toolUseResponse = await mcpClient.callTool(toolName, toolArgs, {
+                  // The call is cancelled when the turn's time budget runs out
+                  signal: getTurnDeadlineSignal(toolConfirmationWaitMs),
+                  // Let the shopper follow long-running tools
+                  onProgress: (progress) => {
+                    stream.sendMessage({
+                      type: 'tool_progress',
+                      tool_use_id: toolUseId,
+                      message: formatToolProgress(toolName, progress)
+                    });
+                  }
+                });
+              } catch (error) {
+                toolUseResponse = {
+                  error: {
+                    type: "internal_error",
+                    data: `Error calling tool ${toolName}: ${error.message}`
+                  }
+                };
+              }
+
+              saveToolCall({
+                shopId,
+                conversationId,
+                model: roundModel,
                 toolName,
-                toolUseId,
-                conversationHistory,
-                stream.sendMessage,
-                conversationId
-              );
-            } else {
-              await toolService.handleToolSuccess(
+                status: toolUseResponse.error?.type || 'ok'
+              });
+
+              // Handle tool response based on success/error
+              if (toolUseResponse.error) {
+                return toolService.handleToolError(
+                  toolUseResponse,
+                  toolName,
+                  toolUseId,
+                  stream.sendMessage
+                );
+              }
+
+              return toolService.handleToolSuccess(
                 toolUseResponse,
                 toolName,
                 toolUseId,
-                conversationHistory,
-                productsToDisplay,
-                conversationId
+                productsToDisplay
               );
-            }
+            });
+
+            // All results of the turn go back to the model in a single message
+            await toolService.addToolResultsToHistory(conversationHistory, toolResults, conversationId);
 
             // Signal new message to client
             stream.sendMessage({ type: 'new_message' });
@@ -275,7 +541,52 @@ async function handleChatSession({
             }
           }
         }
-      );
+      ).catch((error) => {
+        if (modelSignal.aborted) return null;
+        throw error;
+      });
+
+      confirmationWaitMs += roundConfirmationWaitMs;
+
+      if (!finalMessage) {
+        stopForTimeBudget();
+        break;
+      }
+
+      if (finalMessage.stop_reason === 'tool_use') {
+        toolRounds += 1;
+
+        if (toolRounds >= maxToolRounds) {
+          console.warn(`Stopping conversation ${conversationId} after ${toolRounds} tool rounds`);
+          stream.sendMessage({
+            type: 'tool_round_limit',
+            message: AppConfig.errorMessages.toolRoundLimit
+          });
+          break;
+        }
+      } else if (finalMessage.stop_reason === 'max_tokens') {
+        if (continuations >= maxContinuations) {
+          stream.sendMessage({
+            type: 'response_truncated',
+            message: AppConfig.errorMessages.responseTruncated
+          });
+          break;
+        }
+
+        // Ask for the rest of the answer; the prompt is only kept for this turn
+        continuations += 1;
+        conversationHistory.push({ role: 'user', content: continuationPrompt });
+      } else {
+        if (finalMessage.stop_reason !== 'end_turn' && finalMessage.stop_reason !== 'stop_sequence') {
+          console.warn(`Ending turn on stop reason ${finalMessage.stop_reason}`);
+        }
+        turnComplete = true;
+      }
+
+      if (!turnComplete && Date.now() - turnStartedAt - confirmationWaitMs > maxTurnDurationMs) {
+        stopForTimeBudget();
+        break;
+      }
     }
 
     // Signal end of turn
@@ -291,9 +602,59 @@ async function handleChatSession({
   } catch (error) {
     // The streaming handler takes care of error handling
     throw error;
+  } finally {
+    await mcpClient.close();
   }
 }
 
+/**
+ * Asks the shopper to confirm a tool call and waits for their decision
+ * @param {Object} params - Confirmation parameters
+ * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.toolName - Name of the tool
+ * @param {Object} params.toolArgs - Arguments the model passed to the tool
+ * @param {string} params.toolUseId - ID of the tool use request
+ * @param {Object} params.stream - Stream manager for sending responses
+ * @returns {Promise<string>} The decision, one of ConfirmationDecision
+ */
+async function confirmToolUse({ conversationId, toolName, toolArgs, toolUseId, stream }) {
+  const { confirmationId, decision } = requestConfirmation(conversationId);
+
+  stream.sendMessage({
+    type: 'tool_confirmation_required',
+    confirmation_id: confirmationId,
+    tool_use_id: toolUseId,
+    tool_name: toolName,
+    summary: summarizeToolCall(toolName, toolArgs)
+  });
+
+  const result = await decision;
+  console.log(`Shopper confirmation for ${toolName}: ${result}`);
+
+  stream.sendMessage({
+    type: 'tool_confirmation_resolved',
+    confirmation_id: confirmationId,
+    decision: result
+  });
+
+  return result;
+}
+
+/**
+ * Formats an MCP progress notification for the shopper
+ * @param {string} toolName - The tool that reported progress
+ * @param {Object} progress - Progress notification params (`progress`, `total`, `message`)
+ * @returns {string} The progress message
+ */
+function formatToolProgress(toolName, progress) {
+  if (progress.message) {
+    return progress.message;
+  }
+
+  const percentage = progress.total ? ` (${Math.round((progress.progress / progress.total) * 100)}%)` : '';
+  return `Running ${toolName}…${percentage}`;
+}
+
 /**
  * Get the customer MCP endpoint for a shop
  * @param {string} shopDomain - The shop domain
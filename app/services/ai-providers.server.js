@@ -0,0 +1,15 @@
+/**
+ * AI Providers
+ * Loads every AI service so it registers itself with the provider registry.
+ * Import new provider services here to make them available to the chat route.
+ */
+import "./claude.server";
+import "./gemini.server";
+import "./openai.server";
+import "./mock.server";
+
+export {
+  createAiService,
+  resolveProvider,
+  listProviders
+} from "./provider-registry.server";
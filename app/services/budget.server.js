@@ -0,0 +1,64 @@
+/**
+ * Budget Service
+ * Enforces per-shop monthly token budgets
+ */
+import { getShopTokenTotal } from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Budget states, from least to most restricted
+ */
+export const BudgetState = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  EXHAUSTED: 'exhausted'
+};
+
+/**
+ * Gets the monthly token budget for a shop
+ * @param {string} shopId - The shop ID
+ * @returns {number} The budget in tokens, 0 for unlimited
+ */
+export function getMonthlyBudget(shopId) {
+  const { shopMonthlyTokens, defaultMonthlyTokens } = AppConfig.api.budget;
+  const shopBudget = Number(shopMonthlyTokens[shopId]);
+
+  return Number.isFinite(shopBudget) && shopBudget >= 0 ? shopBudget : defaultMonthlyTokens;
+}
+
+/**
+ * Checks how much of its monthly token budget a shop has used
+ * @param {string} shopId - The shop ID
+ * @returns {Promise<Object>} Budget status with `state`, `used` and `limit`
+ */
+export async function getBudgetStatus(shopId) {
+  // Usage can't be counted without a shop, so there is no budget to spend
+  if (!shopId) {
+    return { state: BudgetState.EXHAUSTED, used: 0, limit: 0 };
+  }
+
+  const limit = getMonthlyBudget(shopId);
+
+  if (!limit) {
+    return { state: BudgetState.OK, used: 0, limit };
+  }
+
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const used = await getShopTokenTotal(shopId, monthStart, now);
+
+  let state = BudgetState.OK;
+  if (used >= limit) {
+    state = BudgetState.EXHAUSTED;
+  } else if (used >= limit * AppConfig.api.budget.degradeAt) {
+    state = BudgetState.DEGRADED;
+  }
+
+  return { state, used, limit };
+}
+
+export default {
+  BudgetState,
+  getMonthlyBudget,
+  getBudgetStatus
+};
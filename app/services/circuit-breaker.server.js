@@ -0,0 +1,66 @@
+/**
+ * Circuit Breaker Service
+ * Stops sending requests to an MCP endpoint that keeps failing, so chats fail fast instead
+ * of waiting for every request to time out. Once the circuit has been open for a while,
+ * requests are let through again as a trial: a success closes the circuit, a failure opens
+ * it for another period.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Consecutive failures per endpoint, and when the circuit last opened
+ * @type {Map<string, {failures: number, openedAt: number}>}
+ */
+const circuits = new Map();
+
+/**
+ * Checks whether an endpoint's circuit is open
+ * @param {string} endpoint - The endpoint URL
+ * @returns {boolean} True while requests to the endpoint should not be sent
+ */
+export function isCircuitOpen(endpoint) {
+  const circuit = circuits.get(endpoint);
+
+  return Boolean(circuit) &&
+    circuit.failures >= AppConfig.mcp.circuitBreaker.failureThreshold &&
+    Date.now() - circuit.openedAt < AppConfig.mcp.circuitBreaker.resetAfterMs;
+}
+
+/**
+ * Records a successful request, closing the endpoint's circuit
+ * @param {string} endpoint - The endpoint URL
+ */
+export function recordSuccess(endpoint) {
+  const circuit = circuits.get(endpoint);
+
+  if (circuit && circuit.failures >= AppConfig.mcp.circuitBreaker.failureThreshold) {
+    console.log(`MCP endpoint ${endpoint} recovered, closing its circuit`);
+  }
+
+  circuits.delete(endpoint);
+}
+
+/**
+ * Records a request that failed because the endpoint is unavailable. The circuit opens
+ * after too many failures in a row, and opens again when a trial request fails.
+ * @param {string} endpoint - The endpoint URL
+ */
+export function recordFailure(endpoint) {
+  const circuit = circuits.get(endpoint) || { failures: 0, openedAt: 0 };
+  circuit.failures += 1;
+
+  if (circuit.failures >= AppConfig.mcp.circuitBreaker.failureThreshold) {
+    if (!isCircuitOpen(endpoint)) {
+      console.warn(`MCP endpoint ${endpoint} failed ${circuit.failures} times in a row, opening its circuit`);
+    }
+    circuit.openedAt = Date.now();
+  }
+
+  circuits.set(endpoint, circuit);
+}
+
+export default {
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure
+};
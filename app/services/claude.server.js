@@ -5,6 +5,105 @@
 import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
 import systemPrompts from "../prompts/prompts.json";
+import { registerProvider } from "./provider-registry.server";
+
+/**
+ * Prepares the application's message history for the Claude API.
+ * History may have been produced by another provider after a failover, which can leave
+ * empty text blocks or empty messages that Claude rejects.
+ * @param {Array<Object>} messages - The conversation history
+ * @returns {Array<Object>} The history formatted for Claude
+ */
+function formatHistoryForClaude(messages) {
+  return messages.map(msg => {
+    if (!Array.isArray(msg.content)) {
+      return msg;
+    }
+
+    return {
+      ...msg,
+      content: msg.content.filter(block => block.type !== 'text' || block.text)
+    };
+  }).filter(msg => (Array.isArray(msg.content) ? msg.content.length > 0 : Boolean(msg.content)));
+}
+
+/**
+ * Adds a prompt cache breakpoint to the last content block of a message
+ * @param {Object} message - A message in Claude format
+ * @returns {Object} A copy of the message with `cache_control` on its last block
+ */
+function withCacheBreakpoint(message) {
+  const content = typeof message.content === 'string'
+    ? [{ type: 'text', text: message.content }]
+    : message.content;
+
+  return {
+    ...message,
+    content: content.map((block, index) => (
+      index === content.length - 1
+        ? { ...block, cache_control: { type: 'ephemeral' } }
+        : block
+    ))
+  };
+}
+
+/**
+ * Adds prompt cache breakpoints to a request. Claude caches the prompt prefix up to each
+ * breakpoint, in the order tools, system, messages. The tools and system prompt are the
+ * same for every call, and the history only grows within a chat turn, so marking the end
+ * of the history lets the next model call in the tool loop read it back from the cache.
+ * @param {Object} request - Request with `system`, `tools` and `messages`
+ * @returns {Object} The request with cache breakpoints
+ */
+function applyPromptCaching({ system, tools, messages }) {
+  return {
+    system: [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }],
+    tools: tools && tools.map((tool, index) => (
+      index === tools.length - 1
+        ? { ...tool, cache_control: { type: 'ephemeral' } }
+        : tool
+    )),
+    messages: messages.map((message, index) => (
+      index === messages.length - 1 ? withCacheBreakpoint(message) : message
+    ))
+  };
+}
+
+/**
+ * Logs how much of a request's prompt was served from the cache
+ * @param {Object} usage - Usage reported by Claude
+ */
+function logCacheUsage(usage) {
+  if (!usage) return;
+
+  const read = usage.cache_read_input_tokens || 0;
+  const written = usage.cache_creation_input_tokens || 0;
+  const uncached = usage.input_tokens || 0;
+  const total = read + written + uncached;
+
+  console.log(
+    `Claude prompt cache ${read > 0 ? 'hit' : 'miss'}: ` +
+    `${read} read, ${written} written, ${uncached} uncached input tokens` +
+    (total > 0 ? ` (${Math.round((read / total) * 100)}% from cache)` : '')
+  );
+}
+
+/**
+ * Removes the tool calls from a response that was cut off at max_tokens. The last tool
+ * call may be incomplete, so none of them are run or kept in the history.
+ * @param {Object} message - The final message from Claude
+ * @returns {Object} The message, without tool calls if it was cut off
+ */
+function dropTruncatedToolUses(message) {
+  if (message.stop_reason !== 'max_tokens') {
+    return message;
+  }
+
+  return {
+    ...message,
+    content: (message.content || []).filter(block => block.type !== 'tool_use')
+  };
+}
 
 /**
  * Creates a Claude service instance
@@ -20,53 +119,68 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
    * @param {Object} params - Stream parameters
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.systemPrompt - System prompt text that replaces the prompt type's, e.g. from an MCP server
    * @param {Array} params.tools - Available tools for Claude
+   * @param {string} params.modelTier - "economy" to use the cheaper model
+   * @param {AbortSignal} params.signal - Aborts the request, e.g. when the chat turn runs out of time
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
-   * @param {Function} streamHandlers.onToolUse - Handles tool use requests
+   * @param {Function} streamHandlers.onToolUses - Handles all tool use requests of a message
    * @returns {Promise<Object>} The final message
    */
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    systemPrompt,
+    tools,
+    modelTier,
+    signal
   }, streamHandlers) => {
     // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    const systemInstruction = systemPrompt || getSystemPrompt(promptType);
+
+    let request = {
+      system: systemInstruction,
+      messages: formatHistoryForClaude(messages),
+      tools: tools && tools.length > 0 ? tools : undefined
+    };
+
+    if (AppConfig.api.claude.promptCaching) {
+      request = applyPromptCaching(request);
+    }
 
     // Create stream
     const stream = await anthropic.messages.stream({
-      model: AppConfig.api.claude.defaultModel,
+      model: getModel(modelTier),
       max_tokens: AppConfig.api.maxTokens,
-      system: systemInstruction,
-      messages,
-      tools: tools && tools.length > 0 ? tools : undefined
-    });
+      ...request
+    }, { signal });
 
     // Set up event handlers
     if (streamHandlers.onText) {
       stream.on('text', streamHandlers.onText);
     }
 
-    if (streamHandlers.onMessage) {
-      stream.on('message', streamHandlers.onMessage);
-    }
-
     if (streamHandlers.onContentBlock) {
       stream.on('contentBlock', streamHandlers.onContentBlock);
     }
 
     // Wait for final message
-    const finalMessage = await stream.finalMessage();
-
-    // Process tool use requests
-    if (streamHandlers.onToolUse && finalMessage.content) {
-      for (const content of finalMessage.content) {
-        if (content.type === "tool_use") {
-          await streamHandlers.onToolUse(content);
-        }
-      }
+    const finalMessage = dropTruncatedToolUses(await stream.finalMessage());
+
+    if (AppConfig.api.claude.promptCaching) {
+      logCacheUsage(finalMessage.usage);
+    }
+
+    if (streamHandlers.onMessage) {
+      streamHandlers.onMessage(finalMessage);
+    }
+
+    // Process tool use requests together so they can run in parallel
+    const toolUses = (finalMessage.content || []).filter(content => content.type === "tool_use");
+    if (streamHandlers.onToolUses && toolUses.length > 0) {
+      await streamHandlers.onToolUses(toolUses);
     }
 
     return finalMessage;
@@ -82,12 +196,29 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
       systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
   };
 
+  /**
+   * Gets the model to use for a model tier
+   * @param {string} modelTier - "economy" for the cheaper model, anything else for the default
+   * @returns {string} The model name
+   */
+  const getModel = (modelTier) => {
+    return modelTier === 'economy'
+      ? AppConfig.api.claude.economyModel
+      : AppConfig.api.claude.defaultModel;
+  };
+
   return {
     streamConversation,
     getSystemPrompt
   };
 }
 
+registerProvider({
+  name: 'claude',
+  capabilities: { streaming: true, toolUse: true, vision: true },
+  factory: createClaudeService
+});
+
 export default {
   createClaudeService
 };
@@ -3,18 +3,73 @@
  * Centralizes all configuration values for the chat service
  */
 
+/**
+ * Reads a JSON object from an environment variable
+ * @param {string} name - The environment variable
+ * @returns {Object} The parsed object, or an empty object if unset or invalid
+ */
+function readJsonEnv(name) {
+  if (!process.env[name]) return {};
+
+  try {
+    const value = JSON.parse(process.env[name]);
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  } catch (error) {
+    // Falls through to the warning
+  }
+
+  console.warn(`Ignoring ${name}, expected a JSON object`);
+  return {};
+}
+
 export const AppConfig = {
   // API Configuration
   api: {
-    defaultProvider: 'gemini', // or 'gemini'
+    defaultProvider: process.env.AI_PROVIDER || 'gemini', // or 'claude'
+    // Per-shop provider overrides, keyed by Shopify shop ID, e.g. AI_SHOP_PROVIDERS={"12345678":"claude"}
+    shopProviders: readJsonEnv('AI_SHOP_PROVIDERS'),
+    // Let the widget pick a provider with the `provider` request field
+    allowProviderOverride: false,
+    // The fixture-replaying mock provider is only registered outside production, unless enabled here
+    enableMockProvider: process.env.NODE_ENV !== 'production' || process.env.MOCK_LLM_ENABLED === 'true',
+    // Providers to fail over to, in order, when the resolved provider errors
+    providerChain: (process.env.AI_PROVIDER_CHAIN || 'claude,gemini').split(',').map(name => name.trim()).filter(Boolean),
+    failover: {
+      maxRetries: 2,
+      initialBackoffMs: 500,
+      maxBackoffMs: 4000,
+    },
+    // `economyModel` is used instead of `defaultModel` once a shop nears its token budget
     claude: {
       defaultModel: 'claude-3-5-sonnet-latest',
+      economyModel: 'claude-3-5-haiku-latest',
+      // Cache the tools, system prompt and history between model calls
+      promptCaching: true,
     },
     gemini: {
       defaultModel: 'gemini-2.5-pro',
+      economyModel: 'gemini-2.5-flash',
+    },
+    // Any OpenAI-compatible chat completions endpoint (OpenAI, Azure, vLLM, Ollama)
+    openai: {
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      economyModel: process.env.OPENAI_ECONOMY_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      // Set for Azure OpenAI, which uses `api-key` auth and an `api-version` query parameter
+      apiVersion: process.env.OPENAI_API_VERSION || '',
+      // Output token limit per response; gpt-4o-mini allows at most 16384
+      maxTokens: Number(process.env.OPENAI_MAX_TOKENS) || 16384,
     },
     maxTokens: 20000,
     defaultPromptType: 'standardAssistant',
+    // Monthly token budgets (input + output + cache tokens), 0 for unlimited
+    budget: {
+      defaultMonthlyTokens: Number(process.env.AI_MONTHLY_TOKEN_BUDGET) || 0,
+      // Per-shop budgets, keyed by Shopify shop ID, e.g. AI_SHOP_TOKEN_BUDGETS={"12345678":5000000}
+      shopMonthlyTokens: readJsonEnv('AI_SHOP_TOKEN_BUDGETS'),
+      // Fraction of the budget after which the economy model is used
+      degradeAt: 0.8,
+    },
   },
 
   // Error Message Templates
@@ -25,13 +80,121 @@ export const AppConfig = {
     apiKeyError: "Please check your API key in environment variables",
     rateLimitExceeded: "Rate limit exceeded",
     rateLimitDetails: "Please try again later",
-    genericError: "Failed to get response from the API"
+    genericError: "Failed to get response from the API",
+    assistantUnavailable: "Our assistant is taking a break right now. Please try again later.",
+    toolRoundLimit: "I wasn't able to finish looking that up. Could you narrow down your question?",
+    timeBudgetExceeded: "Sorry, that took longer than expected. Please try again.",
+    responseTruncated: "My answer got cut off. Ask me to continue if you'd like the rest.",
+    invalidCustomerSignature: "The customer identity could not be verified",
+    unknownShop: "This store is not set up to use the assistant",
+    unknownConversation: "This conversation could not be found"
+  },
+
+  // Agent Loop Limits (per chat turn)
+  chatLoop: {
+    // Model calls that end in tool use before the turn is stopped
+    maxToolRounds: 8,
+    // Wall-clock time after which no further model calls are made
+    maxTurnDurationMs: 90000,
+    // Times a response cut off at max_tokens is continued before giving up
+    maxContinuations: 1,
+    continuationPrompt: "Your previous response was cut off. Continue exactly where you left off.",
+  },
+
+  // Usage Accounting
+  usage: {
+    // USD per million tokens, keyed by model name
+    prices: {
+      'claude-3-5-sonnet-latest': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-3-5-haiku-latest': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+      'gemini-2.5-pro': { input: 1.25, output: 10, cacheWrite: 0, cacheRead: 0.31 },
+      'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheWrite: 0, cacheRead: 0.075 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6, cacheWrite: 0, cacheRead: 0.075 },
+      'mock': { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 },
+    },
+    // Days of history shown on the usage page
+    reportDays: 30,
+  },
+
+  // Context Window Management (token counts are estimates)
+  context: {
+    // Older turns are summarized once the history exceeds this many tokens
+    summarizeAtTokens: 30000,
+    // The oldest turns are dropped if the history still exceeds this many tokens
+    maxContextTokens: 60000,
+    // Most recent shopper turns that are always sent verbatim
+    keepRecentTurns: 4,
+    // Tool results before the recent turns are cut to this many characters
+    maxToolResultChars: 2000,
+    summaryPromptType: 'conversationSummarizer',
+  },
+
+  // MCP Client Configuration
+  mcp: {
+    // Protocol version requested in the initialize handshake
+    protocolVersion: '2025-06-18',
+    // Versions the server may answer with
+    supportedProtocolVersions: ['2025-06-18', '2025-03-26', '2024-11-05'],
+    clientInfo: { name: 'shop-chat-agent', version: '1.0.0' },
+    clientCapabilities: {},
+    // Open the server's event stream so it can send notifications outside of requests
+    listenForServerMessages: true,
+    // Time allowed for protocol requests such as the handshake and listing tools
+    requestTimeoutMs: 10000,
+    // Time allowed for tool calls, unless the tool has its own limit below
+    toolTimeoutMs: 20000,
+    // Limits for individual tools, by the name the model sees, e.g. { search_shop_catalog: 15000 }
+    toolTimeoutsMs: {},
+    // Requests that only read data are retried when the server times out or is unavailable
+    retry: {
+      maxAttempts: 2,
+      baseDelayMs: 300,
+    },
+    // Tools that are safe to retry, in addition to those the servers mark with readOnlyHint
+    readOnlyTools: [
+      'search_shop_catalog',
+      'search_shop_policies_and_faqs',
+      'get_cart',
+      'get_product_details',
+      'get_most_recent_order_status',
+      'get_order_status',
+    ],
+    // Stop calling an endpoint after this many failures in a row, and try again after a while
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetAfterMs: 30000,
+    },
+    // How long a server's tool list is reused before it is listed again
+    toolListCacheTtlMs: 10 * 60 * 1000,
+    // Third-party servers a merchant can add in the admin
+    maxServersPerShop: 10,
+    // MCP resources read into the model's context each turn, highest priority first
+    contextResources: {
+      maxResources: 5,
+      maxChars: 8000,
+    },
   },
 
   // Tool Configuration
   tools: {
     productSearchName: "search_shop_catalog",
-    maxProductsToDisplay: 3
+    maxProductsToDisplay: 3,
+    // Tool calls from one assistant turn run concurrently, up to this many at a time
+    maxParallelToolCalls: 4,
+    // How long a tool call waits for the shopper's confirmation before it is cancelled
+    confirmationTimeoutMs: 2 * 60 * 1000,
+    // Check the model's arguments against each tool's input schema before calling it
+    validateArguments: true,
+    // Check structured results against the output schema of tools that declare one
+    validateResults: true
+  },
+
+  // Customer Account API OAuth
+  customerAuth: {
+    // Refresh the customer's access token when it expires within this window
+    refreshBeforeExpiryMs: 5 * 60 * 1000,
+    // How long the shopper has to complete sign-in before the authorization link expires
+    stateTtlMs: 10 * 60 * 1000
   }
 };
 
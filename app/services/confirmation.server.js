@@ -0,0 +1,135 @@
+/**
+ * Confirmation Service
+ * Holds tool calls that wait for the shopper's confirmation. The chat turn waits on the
+ * decision while its stream stays open, and the widget posts the decision to /chat/confirm.
+ * Pending confirmations live in the server process that runs the turn.
+ */
+import { randomUUID } from "crypto";
+import AppConfig from "./config.server";
+
+/**
+ * Outcomes of a confirmation request
+ */
+export const ConfirmationDecision = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Pending confirmations keyed by ID
+ * @type {Map<string, {conversationId: string, resolve: Function, timer: Object}>}
+ */
+const pendingConfirmations = new Map();
+
+/**
+ * Settles a pending confirmation
+ * @param {string} confirmationId - The confirmation ID
+ * @param {string} decision - One of ConfirmationDecision
+ */
+function settle(confirmationId, decision) {
+  const pending = pendingConfirmations.get(confirmationId);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingConfirmations.delete(confirmationId);
+  pending.resolve(decision);
+}
+
+/**
+ * Starts waiting for the shopper to confirm a tool call
+ * @param {string} conversationId - The conversation the tool call belongs to
+ * @returns {{confirmationId: string, decision: Promise<string>}} The ID the widget answers with,
+ *   and the decision, which is "expired" if the shopper does not answer in time
+ */
+export function requestConfirmation(conversationId) {
+  const confirmationId = randomUUID();
+
+  const decision = new Promise((resolve) => {
+    const timer = setTimeout(
+      () => settle(confirmationId, ConfirmationDecision.EXPIRED),
+      AppConfig.tools.confirmationTimeoutMs
+    );
+
+    pendingConfirmations.set(confirmationId, { conversationId, resolve, timer });
+  });
+
+  return { confirmationId, decision };
+}
+
+/**
+ * Records the shopper's decision on a pending tool call
+ * @param {string} conversationId - The conversation the widget belongs to
+ * @param {string} confirmationId - The confirmation ID from the `tool_confirmation_required` event
+ * @param {boolean} approved - Whether the shopper approved the call
+ * @returns {boolean} False if there is no such pending confirmation for the conversation
+ */
+export function resolveConfirmation(conversationId, confirmationId, approved) {
+  const pending = pendingConfirmations.get(confirmationId);
+
+  if (!pending || pending.conversationId !== conversationId) {
+    return false;
+  }
+
+  settle(confirmationId, approved ? ConfirmationDecision.APPROVED : ConfirmationDecision.REJECTED);
+  return true;
+}
+
+/**
+ * Turns a tool name or argument key into words, e.g. "update_cart" into "Update cart"
+ * @param {string} name - The name
+ * @returns {string} The words
+ */
+function humanize(name) {
+  const words = name
+    .replace(/^[a-z0-9-]+__/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Describes an argument value in words
+ * @param {*} value - The value
+ * @returns {string} The description
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(describeValue).join('; ');
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, item]) => `${humanize(key).toLowerCase()} ${describeValue(item)}`)
+      .join(', ');
+  }
+
+  // Shopify IDs such as gid://shopify/ProductVariant/123 read better as "ProductVariant 123"
+  const gid = typeof value === 'string' && value.match(/^gid:\/\/shopify\/(\w+)\/([^?]+)/);
+  return gid ? `${gid[1]} ${gid[2]}` : String(value);
+}
+
+/**
+ * Summarizes a tool call for the shopper to confirm
+ * @param {string} toolName - The tool name
+ * @param {Object} toolArgs - The arguments the model passed
+ * @returns {string} The summary, the action on the first line and one argument per line after it
+ */
+export function summarizeToolCall(toolName, toolArgs) {
+  const details = Object.entries(toolArgs || {})
+    // The model's notes to the tool are not meant for the shopper
+    .filter(([key]) => key !== 'context')
+    .map(([key, value]) => `${humanize(key)}: ${describeValue(value)}`);
+
+  return [humanize(toolName), ...details].join('\n');
+}
+
+export default {
+  ConfirmationDecision,
+  requestConfirmation,
+  resolveConfirmation,
+  summarizeToolCall
+};
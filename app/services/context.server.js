@@ -0,0 +1,289 @@
+/**
+ * Context Service
+ * Keeps the conversation history sent to the model within the context window by
+ * compacting old tool results and summarizing older turns once the history grows too large
+ */
+import { getConversation, saveConversationSummary } from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Roughly estimates the number of tokens in a list of messages (about 4 characters per token)
+ * @param {Array} messages - Messages in Claude format
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(messages) {
+  return messages.reduce((total, message) => {
+    const text = typeof message.content === 'string'
+      ? message.content
+      : JSON.stringify(message.content);
+    return total + Math.ceil(text.length / 4);
+  }, 0);
+}
+
+/**
+ * Checks whether a message was typed by the shopper, as opposed to carrying tool results
+ * @param {Object} message - A message in Claude format
+ * @returns {boolean} True for shopper messages
+ */
+function isShopperMessage(message) {
+  return message.role === 'user' && !(
+    Array.isArray(message.content) &&
+    message.content.some(block => block.type === 'tool_result')
+  );
+}
+
+/**
+ * Gets the plain text of a tool result's content
+ * @param {string|Array} content - Tool result content
+ * @returns {string} The text
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content ?? '');
+
+  return content
+    .map(block => (block.type === 'text' ? block.text : JSON.stringify(block)))
+    .join('\n');
+}
+
+/**
+ * Gets the index of the message that starts the n-th most recent shopper turn
+ * @param {Array} messages - Messages in Claude format
+ * @param {number} turns - Number of recent turns
+ * @returns {number} The index, or 0 if there are fewer turns
+ */
+function getRecentTurnsStart(messages, turns) {
+  let found = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (isShopperMessage(messages[i]) && ++found === turns) {
+      return i;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Shortens large tool results in messages before the given index
+ * @param {Array} messages - Messages in Claude format
+ * @param {number} untilIndex - Messages from this index on are left untouched
+ * @returns {Array} Messages with older tool results compacted
+ */
+function compactToolResults(messages, untilIndex) {
+  const { maxToolResultChars } = AppConfig.context;
+
+  return messages.map((message, index) => {
+    if (index >= untilIndex || !Array.isArray(message.content)) {
+      return message;
+    }
+
+    return {
+      ...message,
+      content: message.content.map(block => {
+        if (block.type !== 'tool_result') return block;
+
+        const text = toolResultText(block.content);
+        if (text.length <= maxToolResultChars) return block;
+
+        return {
+          ...block,
+          content: `${text.slice(0, maxToolResultChars)}\n… [${text.length - maxToolResultChars} characters of this older tool result were removed]`
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Renders messages as a plain-text transcript for the summarizer
+ * @param {Array} messages - Messages in Claude format
+ * @param {string} previousSummary - The existing summary, if any
+ * @returns {string} The transcript
+ */
+function renderTranscript(messages, previousSummary) {
+  const lines = previousSummary ? [`Summary of the conversation before this point:\n${previousSummary}\n`] : [];
+
+  for (const message of messages) {
+    const blocks = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : message.content;
+
+    for (const block of blocks) {
+      if (block.type === 'text' && block.text) {
+        lines.push(`${message.role === 'assistant' ? 'Assistant' : 'Shopper'}: ${block.text}`);
+      } else if (block.type === 'tool_use') {
+        lines.push(`Assistant called ${block.name} with ${JSON.stringify(block.input)}`);
+      } else if (block.type === 'tool_result') {
+        lines.push(`Tool result: ${toolResultText(block.content).slice(0, AppConfig.context.maxToolResultChars)}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders MCP resources as reference text for the model
+ * @param {Array} resources - Resources with `name`, `uri` and `text`
+ * @returns {string} The reference text, empty if there are no resources
+ */
+function renderResources(resources) {
+  if (resources.length === 0) return '';
+
+  return [
+    "Reference information from the store:",
+    ...resources.map(resource => `## ${resource.name || resource.uri} (${resource.uri})\n${resource.text}`)
+  ].join('\n\n');
+}
+
+/**
+ * Prepends store reference information and the conversation summary to the first kept message
+ * @param {Array} messages - Messages in Claude format, starting with a shopper message
+ * @param {Object} context - Context to include
+ * @param {string} context.reference - Reference information from MCP resources
+ * @param {string} context.summary - The conversation summary
+ * @returns {Array} Messages with the context included
+ */
+function withContext(messages, { reference, summary }) {
+  const contextBlocks = [];
+
+  if (reference) {
+    contextBlocks.push({ type: 'text', text: reference });
+  }
+
+  if (summary) {
+    contextBlocks.push({ type: 'text', text: `Summary of the earlier conversation:\n${summary}` });
+  }
+
+  if (contextBlocks.length === 0) return messages;
+
+  const [first, ...rest] = messages;
+
+  if (!first || !isShopperMessage(first)) {
+    return [{ role: 'user', content: contextBlocks }, ...messages];
+  }
+
+  const firstContent = typeof first.content === 'string'
+    ? [{ type: 'text', text: first.content }]
+    : first.content;
+
+  return [{ ...first, content: [...contextBlocks, ...firstContent] }, ...rest];
+}
+
+/**
+ * Creates a context manager
+ * @param {Object} aiService - The AI service used to write summaries
+ * @returns {Object} Context manager with methods for building the model history
+ */
+export function createContextManager(aiService) {
+  /**
+   * Summarizes messages with the AI service
+   * @param {Array} messages - Messages to summarize
+   * @param {string} previousSummary - The existing summary, if any
+   * @returns {Promise<Object>} The summary text and the summarization message
+   */
+  const summarize = async (messages, previousSummary) => {
+    const finalMessage = await aiService.streamConversation({
+      messages: [{ role: 'user', content: renderTranscript(messages, previousSummary) }],
+      promptType: AppConfig.context.summaryPromptType,
+      tools: [],
+      modelTier: 'economy'
+    }, {});
+
+    const summary = finalMessage.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n')
+      .trim();
+
+    return { summary, finalMessage };
+  };
+
+  /**
+   * Builds the history to send to the model from the stored messages
+   * @param {string} conversationId - The conversation ID
+   * @param {Array} dbMessages - Messages from the database, oldest first
+   * @param {Object} options - History options
+   * @param {Array} options.resources - MCP resources to include as reference information
+   * @returns {Promise<Array>} Messages in Claude format
+   */
+  const buildHistory = async (conversationId, dbMessages, { resources = [] } = {}) => {
+    const { summarizeAtTokens, maxContextTokens, keepRecentTurns } = AppConfig.context;
+    const reference = renderResources(resources);
+    const conversation = await getConversation(conversationId);
+    const summarizedThrough = conversation?.summarizedThrough;
+
+    let summary = '';
+    let messages = [];
+
+    for (const dbMessage of dbMessages) {
+      if (dbMessage.role === 'summary') {
+        summary = dbMessage.content;
+        continue;
+      }
+
+      // Messages already folded into the summary are not sent again
+      if (summarizedThrough && dbMessage.createdAt <= summarizedThrough) {
+        continue;
+      }
+
+      let content;
+      try {
+        content = JSON.parse(dbMessage.content);
+      } catch (e) {
+        content = dbMessage.content;
+      }
+
+      messages.push({ role: dbMessage.role, content, createdAt: dbMessage.createdAt });
+    }
+
+    let recentStart = getRecentTurnsStart(messages, keepRecentTurns);
+    messages = compactToolResults(messages, recentStart);
+
+    // Fold older turns into the summary once the history gets too large
+    if (recentStart > 0 && estimateTokens(withContext(messages, { reference, summary })) > summarizeAtTokens) {
+      try {
+        const older = messages.slice(0, recentStart);
+        const result = await summarize(older, summary);
+
+        if (result.summary) {
+          await saveConversationSummary(
+            conversationId,
+            result.summary,
+            older[older.length - 1].createdAt,
+            { model: result.finalMessage.model, usage: result.finalMessage.usage }
+          );
+
+          summary = result.summary;
+          messages = messages.slice(recentStart);
+          recentStart = 0;
+        }
+      } catch (error) {
+        console.error('Error summarizing conversation, dropping older turns instead:', error);
+      }
+    }
+
+    // Drop the oldest turns if the history is still too large
+    while (estimateTokens(withContext(messages, { reference, summary })) > maxContextTokens) {
+      const nextTurn = messages.findIndex((message, index) => index > 0 && isShopperMessage(message));
+      if (nextTurn <= 0) break;
+      messages = messages.slice(nextTurn);
+    }
+
+    return withContext(
+      messages.map(({ role, content }) => ({ role, content })),
+      { reference, summary }
+    );
+  };
+
+  return {
+    buildHistory,
+    estimateTokens
+  };
+}
+
+export default {
+  createContextManager,
+  estimateTokens
+};
@@ -0,0 +1,194 @@
+/**
+ * Customer Identity Service
+ * Identifies the customer behind a conversation, so tokens and history follow the customer
+ * instead of the browser session. Customers are identified by their numeric ID in the shop:
+ * after sign-in from the ID token, and before sign-in from the storefront, which signs the
+ * logged-in customer's ID with a per-shop key the app publishes as an app metafield.
+ * The storefront signs its shop ID with the same key, which identifies the shop behind
+ * a chat request.
+ */
+import { createHmac, timingSafeEqual } from "crypto";
+import { getCustomer } from "../db.server";
+
+/**
+ * Where the theme extension reads the signing key from, as `app.metafields.<namespace>.<key>`
+ */
+export const IDENTITY_KEY_METAFIELD = {
+  namespace: 'shop_ai_chat',
+  key: 'customer_identity_key'
+};
+
+/**
+ * Derives a shop's customer identity signing key from the app's API secret
+ * @param {string} shopId - The numeric shop ID
+ * @returns {string} The key, hex-encoded
+ * @throws {Error} If the API secret is not configured
+ */
+function getIdentityKey(shopId) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    throw new Error("SHOPIFY_API_SECRET environment variable is required to verify customer identities");
+  }
+
+  return createHmac('sha256', secret).update(`customer-identity:${shopId}`).digest('hex');
+}
+
+/**
+ * Turns a customer ID into the numeric form Liquid uses, e.g. gid://shopify/Customer/123 into 123
+ * @param {string|number} id - The customer ID
+ * @returns {string|null} The account ID, or null if there is none
+ */
+export function normalizeAccountId(id) {
+  if (id === undefined || id === null || id === '') return null;
+
+  return String(id).replace(/^gid:\/\/shopify\/Customer\//, '');
+}
+
+/**
+ * Checks a signature the theme extension made with Liquid's `hmac_sha256` filter
+ * @param {string} shopId - The numeric shop ID, whose key signed the message
+ * @param {string} message - The signed message
+ * @param {string} signature - The hex-encoded signature
+ * @returns {boolean} True if the signature is valid
+ */
+function verifySignature(shopId, message, signature) {
+  const expected = createHmac('sha256', getIdentityKey(shopId)).update(message).digest();
+  const actual = Buffer.from(signature, 'hex');
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Verifies the storefront's signature of a logged-in customer's ID. The theme extension
+ * signs `<shop ID>:<customer ID>` with Liquid's `hmac_sha256` filter.
+ * @param {string} shopId - The numeric shop ID
+ * @param {string} accountId - The customer ID from the storefront
+ * @param {string} signature - The hex-encoded signature
+ * @returns {boolean} True if the storefront vouches for the customer
+ */
+export function verifyCustomerIdentity(shopId, accountId, signature) {
+  if (!shopId || !accountId || typeof signature !== 'string') return false;
+
+  return verifySignature(shopId, `${shopId}:${accountId}`, signature);
+}
+
+/**
+ * Verifies the storefront's signature of its shop ID. The theme extension signs
+ * `shop:<shop ID>`, so unlike the shop ID alone it can't be made up for another shop,
+ * whatever domain the storefront is served from.
+ * @param {string} shopId - The numeric shop ID from the storefront
+ * @param {string} signature - The hex-encoded signature
+ * @returns {boolean} True if the request comes from the shop's storefront
+ */
+export function verifyShopIdentity(shopId, signature) {
+  if (!/^\d+$/.test(shopId || '') || typeof signature !== 'string') return false;
+
+  return verifySignature(shopId, `shop:${shopId}`, signature);
+}
+
+/**
+ * Gets the customer the storefront vouches for, if they have used the chat before
+ * @param {string} shopId - The numeric shop ID
+ * @param {string} customerId - The customer ID from the storefront
+ * @param {string} signature - The storefront's signature of the customer ID
+ * @returns {Promise<Object|null>} The customer, or null if the signature is invalid or the customer is unknown
+ */
+export async function getVerifiedCustomer(shopId, customerId, signature) {
+  const accountId = normalizeAccountId(customerId);
+
+  if (!verifyCustomerIdentity(shopId, accountId, signature)) {
+    return null;
+  }
+
+  return getCustomer(shopId, accountId);
+}
+
+/**
+ * Gets the customer's account ID from the ID token of a token response. The token comes
+ * straight from the authorization server over TLS, so its claims are not verified again.
+ * @param {string} idToken - The ID token (JWT)
+ * @returns {string|null} The account ID, or null if the token has no subject
+ */
+export function getAccountIdFromIdToken(idToken) {
+  if (!idToken) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+    return normalizeAccountId(claims.sub);
+  } catch (error) {
+    console.error('Failed to read the customer ID token:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Publishes the shop's signing key as an app metafield, where the theme extension reads it.
+ * Does nothing if the current key is already published.
+ * @param {Object} admin - Admin API context
+ * @returns {Promise<boolean>} True if the key was published
+ */
+export async function publishIdentityKey(admin) {
+  const response = await admin.graphql(
+    `#graphql
+    query appInstallation($namespace: String!, $key: String!) {
+      shop {
+        id
+      }
+      currentAppInstallation {
+        id
+        metafield(namespace: $namespace, key: $key) {
+          value
+        }
+      }
+    }`,
+    { variables: IDENTITY_KEY_METAFIELD },
+  );
+  const { data } = await response.json();
+  const shopId = data.shop.id.split("/").pop();
+  const identityKey = getIdentityKey(shopId);
+
+  if (data.currentAppInstallation.metafield?.value === identityKey) {
+    return false;
+  }
+
+  const result = await admin.graphql(
+    `#graphql
+    mutation setIdentityKey($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metafields: [{
+          ownerId: data.currentAppInstallation.id,
+          ...IDENTITY_KEY_METAFIELD,
+          type: 'single_line_text_field',
+          value: identityKey
+        }]
+      }
+    },
+  );
+  const { data: resultData } = await result.json();
+  const userErrors = resultData.metafieldsSet.userErrors;
+
+  if (userErrors.length > 0) {
+    throw new Error(`Failed to publish the customer identity key: ${userErrors.map(error => error.message).join(', ')}`);
+  }
+
+  return true;
+}
+
+export default {
+  IDENTITY_KEY_METAFIELD,
+  normalizeAccountId,
+  verifyCustomerIdentity,
+  verifyShopIdentity,
+  getVerifiedCustomer,
+  getAccountIdFromIdToken,
+  publishIdentityKey
+};
@@ -0,0 +1,172 @@
+/**
+ * Encryption Service
+ * Envelope encryption for secrets stored in the database, such as customer tokens. Each
+ * value is encrypted with its own data key (AES-256-GCM), and the data key is encrypted
+ * with a master key from the environment. Stored values name the master key they were
+ * wrapped with, so keys can be rotated: new values use the current key, older keys stay
+ * configured until every value has been re-encrypted.
+ *
+ * Master keys are set as `TOKEN_ENCRYPTION_KEYS=<id>:<base64 key>[,<id>:<base64 key>...]`,
+ * current key first. Generate a key with `openssl rand -base64 32`.
+ */
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Parsed master keys, cached per value of the environment variable
+ * @type {{source: string, keys: Map<string, Buffer>, currentKeyId: string}|null}
+ */
+let keyring = null;
+
+/**
+ * Gets the configured master keys
+ * @returns {{keys: Map<string, Buffer>, currentKeyId: string}} Keys by ID, and the ID new values are encrypted with
+ * @throws {Error} If no keys are configured or a key is malformed
+ */
+function getKeyring() {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS || '';
+
+  if (keyring?.source === source) {
+    return keyring;
+  }
+
+  const keys = new Map();
+
+  for (const entry of source.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    // Without a separator the entry is likely a bare key, which must not end up in the error
+    const id = separator > 0 ? entry.slice(0, separator) : '';
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !/^[\w-]+$/.test(id) || key.length !== 32) {
+      throw new Error(`Invalid entry "${id}:..." in TOKEN_ENCRYPTION_KEYS, expected <id>:<base64 encoded 32-byte key>`);
+    }
+
+    keys.set(id, key);
+  }
+
+  if (keys.size === 0) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS environment variable is required to store customer tokens");
+  }
+
+  keyring = { source, keys, currentKeyId: keys.keys().next().value };
+  return keyring;
+}
+
+/**
+ * Checks the configured master keys, so a missing or malformed key can be reported up
+ * front rather than when the first secret is stored
+ * @returns {string|null} What is wrong with the keys, or null if they can be used
+ */
+export function checkEncryptionKeys() {
+  try {
+    getKeyring();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Encrypts data with AES-256-GCM
+ * @param {Buffer} key - The key
+ * @param {Buffer} data - The data
+ * @returns {string} The IV, ciphertext and auth tag, base64url-encoded
+ */
+function seal(key, data) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+
+  return Buffer.concat([iv, ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypts data sealed with AES-256-GCM
+ * @param {Buffer} key - The key
+ * @param {string} sealed - The output of seal
+ * @returns {Buffer} The data
+ * @throws {Error} If the data was tampered with or the key is wrong
+ */
+function open(key, sealed) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const iv = bytes.subarray(0, IV_LENGTH);
+  const tag = bytes.subarray(bytes.length - TAG_LENGTH);
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(bytes.subarray(IV_LENGTH, bytes.length - TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Checks whether a stored value is encrypted
+ * @param {string} value - The stored value
+ * @returns {boolean} True if the value was written by encryptSecret
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypts a secret with the current master key
+ * @param {string} plaintext - The secret
+ * @returns {string} The value to store
+ */
+export function encryptSecret(plaintext) {
+  const { keys, currentKeyId } = getKeyring();
+  const dataKey = randomBytes(32);
+
+  return [
+    PREFIX,
+    currentKeyId,
+    seal(keys.get(currentKeyId), dataKey),
+    seal(dataKey, Buffer.from(plaintext, 'utf8'))
+  ].join(':');
+}
+
+/**
+ * Decrypts a stored secret. Values stored before encryption was enabled are returned as
+ * they are, until the data migration has encrypted them.
+ * @param {string} value - The stored value
+ * @returns {string} The secret
+ * @throws {Error} If the value's master key is not configured or the value was tampered with
+ */
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , keyId, wrappedKey, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return open(open(key, wrappedKey), ciphertext).toString('utf8');
+}
+
+/**
+ * Checks whether a stored value should be encrypted, or re-encrypted with the current key
+ * @param {string} value - The stored value
+ * @returns {boolean} True if the value is plaintext or uses an older master key
+ */
+export function needsEncryption(value) {
+  if (!isEncrypted(value)) {
+    return true;
+  }
+
+  return value.split(':')[2] !== getKeyring().currentKeyId;
+}
+
+export default {
+  checkEncryptionKeys,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  needsEncryption
+};
@@ -0,0 +1,171 @@
+/**
+ * Failover Service
+ * Wraps an ordered chain of AI providers behind the `streamConversation` contract,
+ * retrying transient errors with backoff and failing over to the next provider.
+ *
+ * Every provider consumes the same Claude-formatted history and translates it to its
+ * own API, so the conversation can move between providers mid-turn.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Status codes worth retrying on the same provider
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Checks whether an error is transient and the request can be retried
+ * @param {Error} error - The error thrown by a provider
+ * @returns {boolean} True if the request should be retried
+ */
+export function isRetryableError(error) {
+  if (RETRYABLE_STATUSES.includes(error.status)) {
+    return true;
+  }
+
+  // Network failures have no status
+  if (!error.status && /fetch failed|network|ECONNRESET|ETIMEDOUT|socket hang up/i.test(error.message || '')) {
+    return true;
+  }
+
+  return /overloaded/i.test(error.message || '');
+}
+
+/**
+ * Calculates the delay before the next retry
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Failover options
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, { initialBackoffMs, maxBackoffMs }) {
+  const delay = Math.min(initialBackoffMs * 2 ** attempt, maxBackoffMs);
+  // Add jitter so concurrent chats don't retry in lockstep
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wraps stream handlers to record whether anything reached the shopper.
+ * Once output has been emitted a retry would duplicate it, so the error is surfaced instead.
+ * @param {Object} streamHandlers - Stream event handlers
+ * @param {Function} onEmit - Called the first time any handler fires
+ * @returns {Object} Wrapped stream handlers
+ */
+function trackEmissions(streamHandlers, onEmit) {
+  const tracked = {};
+
+  for (const [name, handler] of Object.entries(streamHandlers)) {
+    tracked[name] = typeof handler === 'function'
+      ? (...args) => {
+        onEmit();
+        return handler(...args);
+      }
+      : handler;
+  }
+
+  return tracked;
+}
+
+/**
+ * Creates a service that streams through a chain of providers with retry and failover
+ * @param {Array<Object>} providers - Registered providers in priority order
+ * @param {Object} options - Failover options
+ * @param {number} options.maxRetries - Retries per provider for transient errors
+ * @param {number} options.initialBackoffMs - Delay before the first retry
+ * @param {number} options.maxBackoffMs - Upper bound for the retry delay
+ * @returns {Object} A service object with a `streamConversation` method
+ */
+export function createFailoverService(providers, options = AppConfig.api.failover) {
+  if (!providers || providers.length === 0) {
+    throw new Error("At least one provider is required");
+  }
+
+  const services = new Map();
+  // Stay on the provider that last succeeded for the rest of the chat turn
+  let activeIndex = 0;
+
+  /**
+   * Gets (creating on first use) the service for a provider
+   * @param {Object} provider - The provider
+   * @returns {Object} The provider's service
+   */
+  const getService = (provider) => {
+    if (!services.has(provider.name)) {
+      services.set(provider.name, provider.factory());
+    }
+
+    return services.get(provider.name);
+  };
+
+  /**
+   * Streams a conversation, retrying and failing over as needed
+   * @param {Object} params - Stream parameters, passed through to the provider
+   * @param {Object} streamHandlers - Stream event handlers
+   * @returns {Promise<Object>} The final message
+   */
+  const streamConversation = async (params, streamHandlers) => {
+    let lastError;
+
+    for (let index = activeIndex; index < providers.length; index++) {
+      const provider = providers[index];
+
+      for (let attempt = 0; attempt <= options.maxRetries; attempt++) {
+        let emitted = false;
+        const trackedHandlers = trackEmissions(streamHandlers, () => {
+          emitted = true;
+        });
+
+        try {
+          const finalMessage = await getService(provider).streamConversation(params, trackedHandlers);
+          activeIndex = index;
+          return finalMessage;
+        } catch (error) {
+          lastError = error;
+
+          // Output can't be taken back, and a chat turn that ran out of time must not be retried
+          if (emitted || params.signal?.aborted) {
+            throw error;
+          }
+
+          if (!isRetryableError(error) || attempt === options.maxRetries) {
+            console.warn(`AI provider ${provider.name} failed:`, error.message);
+            break;
+          }
+
+          const delay = getBackoffDelay(attempt, options);
+          console.warn(`AI provider ${provider.name} failed, retrying in ${Math.round(delay)}ms:`, error.message);
+          await sleep(delay);
+        }
+      }
+
+      if (index < providers.length - 1) {
+        console.warn(`Failing over from ${provider.name} to ${providers[index + 1].name}`);
+      }
+    }
+
+    throw lastError;
+  };
+
+  return {
+    streamConversation,
+    get providerName() {
+      return providers[activeIndex].name;
+    },
+    get capabilities() {
+      return providers[activeIndex].capabilities;
+    }
+  };
+}
+
+export default {
+  createFailoverService,
+  isRetryableError
+};
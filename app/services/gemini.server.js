@@ -9,13 +9,16 @@
  * 1.  Translates incoming Claude-formatted message history (including tool results)
  *     into the format required by Gemini.
  * 2.  Receives Gemini's response and translates its `functionCall` objects back into
- *     the `tool_use` objects that the Claude-based chat handler expects.
+ *     the `tool_use` objects that the Claude-based chat handler expects, giving each
+ *     call a unique ID that is mapped back to the function name when history is replayed.
  * 3.  Simulates the event-driven nature of the Anthropic SDK by calling the stream
- *     handlers (`onText`, `onToolUse`, `onMessage`) manually.
+ *     handlers (`onText`, `onToolUses`, `onMessage`) manually.
  */
+import { randomUUID } from "crypto";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import AppConfig from "./config.server";
 import systemPrompts from "../prompts/prompts.json";
+import { registerProvider } from "./provider-registry.server";
 
 // Fix for ReadableStream polyfill conflicts in Node.js environment
 // Ensure native Node.js streams are used instead of web-streams-polyfill
@@ -32,6 +35,67 @@ if (typeof globalThis !== 'undefined' && globalThis.ReadableStream && globalThis
 /* eslint-enable no-undef */
 
 
+/**
+ * Builds a map from tool_use ID to function name from the Claude-formatted history.
+ * Gemini pairs function responses with calls by name, while the persisted history
+ * pairs tool results with tool uses by ID.
+ * @param {Array<Object>} messages - The conversation history from the application.
+ * @returns {Map<string, string>} Function names keyed by tool_use ID.
+ */
+function buildToolNameMap(messages) {
+  const toolNames = new Map();
+
+  for (const msg of messages) {
+    if (msg.role === 'assistant' && Array.isArray(msg.content)) {
+      for (const block of msg.content) {
+        if (block.type === 'tool_use') {
+          toolNames.set(block.id, block.name);
+        }
+      }
+    }
+  }
+
+  return toolNames;
+}
+
+/**
+ * Converts Claude tool result content into the object Gemini expects as a function response.
+ * @param {string|Array|Object} content - The tool result content.
+ * @returns {Object} The function response payload.
+ */
+function toolResultToResponse(content) {
+  const text = Array.isArray(content)
+    ? content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+    : content;
+
+  if (typeof text !== 'string') {
+    return text && typeof text === 'object' ? text : { content: text ?? '' };
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { content: parsed };
+  } catch (e) {
+    return { content: text };
+  }
+}
+
+/**
+ * Extracts the text of a Claude-formatted message content.
+ * @param {string|Array} content - The message content.
+ * @returns {string} The joined text blocks.
+ */
+function contentToText(content) {
+  if (Array.isArray(content)) {
+    return content
+      .filter(c => c.type === 'text' && typeof c.text === 'string')
+      .map(c => c.text)
+      .join('\n');
+  }
+
+  return typeof content === 'string' ? content : '';
+}
+
 /**
  * Translates the application's message history (which may be in Claude's format)
  * into the format required by the Google Gemini API.
@@ -39,7 +103,11 @@ if (typeof globalThis !== 'undefined' && globalThis.ReadableStream && globalThis
  * @returns {Array<Object>} The history formatted for Gemini's `contents` array.
  */
 function formatHistoryForGemini(messages) {
-  return messages.map(msg => {
+  const toolNames = buildToolNameMap(messages);
+  // Older history used the function name as the tool_use ID, so fall back to the ID itself
+  const getToolName = (toolUseId) => toolNames.get(toolUseId) || toolUseId;
+
+  const contents = messages.map(msg => {
     if (msg.role === 'assistant') {
       if (msg.tool_calls && msg.tool_calls.length > 0) {
         return {
@@ -52,44 +120,42 @@ function formatHistoryForGemini(messages) {
           }))
         };
       }
-      // FIX: unwrap Claude's [{ type: 'text', text: '...' }] format into plain string
-      let textContent = '';
-      if (Array.isArray(msg.content)) {
-        textContent = msg.content
-          .filter(c => c.type === 'text' && typeof c.text === 'string')
-          .map(c => c.text)
-          .join('\n');
-      } else if (typeof msg.content === 'string') {
-        textContent = msg.content;
-      }
-      return { role: 'model', parts: [{ text: textContent }] };
+
+      const textContent = contentToText(msg.content);
+      const toolUses = Array.isArray(msg.content)
+        ? msg.content.filter(c => c.type === 'tool_use')
+        : [];
+
+      const parts = [
+        ...(textContent || toolUses.length === 0 ? [{ text: textContent }] : []),
+        ...toolUses.map(toolUse => ({
+          functionCall: { name: toolUse.name, args: toolUse.input || {} }
+        }))
+      ];
+
+      return { role: 'model', parts };
     }
 
     if (msg.role === 'user') {
-      // Tool result case
-      if (Array.isArray(msg.content) && msg.content[0]?.type === 'tool_result') {
-        const toolResult = msg.content[0];
+      // Tool result case: one functionResponse per result, in call order
+      const toolResults = Array.isArray(msg.content)
+        ? msg.content.filter(c => c.type === 'tool_result')
+        : [];
+
+      if (toolResults.length > 0) {
         return {
           role: 'function',
-          parts: [{
+          parts: toolResults.map(toolResult => ({
             functionResponse: {
-              name: toolResult.tool_use_id,
-              response: JSON.parse(toolResult.content[0].text),
+              name: getToolName(toolResult.tool_use_id),
+              response: toolResultToResponse(toolResult.content),
             },
-          }],
+          })),
         };
       }
+
       // Normal user text
-      let textContent = '';
-      if (Array.isArray(msg.content)) {
-        textContent = msg.content
-          .filter(c => c.type === 'text' && typeof c.text === 'string')
-          .map(c => c.text)
-          .join('\n');
-      } else if (typeof msg.content === 'string') {
-        textContent = msg.content;
-      }
-      return { role: 'user', parts: [{ text: textContent }] };
+      return { role: 'user', parts: [{ text: contentToText(msg.content) }] };
     }
 
     if (msg.role === 'tool') {
@@ -106,6 +172,72 @@ function formatHistoryForGemini(messages) {
 
     return null;
   }).filter(Boolean);
+
+  // Results of calls made in the same turn may be stored as separate messages; Gemini
+  // expects all responses for a turn's calls together, so merge consecutive function turns
+  return contents.reduce((merged, content) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === 'function' && content.role === 'function') {
+      previous.parts.push(...content.parts);
+    } else {
+      merged.push(content);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Translates Gemini function calls into Claude `tool_use` blocks with unique IDs,
+ * so repeated calls to the same function in one turn can be told apart.
+ * @param {Array<Object>} geminiToolCalls - Gemini `functionCall` objects.
+ * @returns {Array<Object>} Claude-formatted `tool_use` blocks.
+ */
+function toClaudeToolUses(geminiToolCalls) {
+  return geminiToolCalls.map(geminiCall => ({
+    type: 'tool_use',
+    id: geminiCall.id || `toolu_${randomUUID().replace(/-/g, '').slice(0, 24)}`,
+    name: geminiCall.name,
+    input: geminiCall.args || {},
+  }));
+}
+
+/**
+ * Builds the Claude-formatted final message, notifies the handlers and runs any tool calls.
+ * @param {Object} response - The aggregated Gemini response.
+ * @param {string} response.text - The full response text.
+ * @param {Array<Object>} response.geminiToolCalls - Gemini `functionCall` objects.
+ * @param {string} response.finishReason - Gemini finish reason.
+ * @param {Object} response.usageMetadata - Gemini token usage.
+ * @param {string} response.modelName - The model that produced the response.
+ * @param {Object} streamHandlers - Stream event handlers.
+ * @returns {Promise<Object>} The final message.
+ */
+async function completeMessage({ text, geminiToolCalls, finishReason, usageMetadata, modelName }, streamHandlers) {
+  // Function calls of a response cut off at max_tokens may be incomplete, so they are not run
+  const toolUses = finishReason === 'MAX_TOKENS' ? [] : toClaudeToolUses(geminiToolCalls);
+
+  const finalMessage = {
+    role: 'assistant',
+    content: [
+      ...(text || toolUses.length === 0 ? [{ type: 'text', text }] : []),
+      ...toolUses,
+    ],
+    model: modelName,
+    // Gemini reports STOP even when it wants function results back
+    stop_reason: toolUses.length > 0 ? 'tool_use' : mapFinishReason(finishReason),
+    usage: mapUsage(usageMetadata),
+  };
+
+  // Record the assistant message before its tool results so history stays in order
+  if (streamHandlers.onMessage) {
+    streamHandlers.onMessage(finalMessage);
+  }
+
+  if (streamHandlers.onToolUses && toolUses.length > 0) {
+    await streamHandlers.onToolUses(toolUses);
+  }
+
+  return finalMessage;
 }
 
 
@@ -121,11 +253,15 @@ export function createGeminiService(apiKey = process.env.GEMINI_API_KEY) {
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    systemPrompt,
+    tools,
+    modelTier,
+    signal
   }, streamHandlers) => {
-    const systemInstruction = getSystemPrompt(promptType);
+    const systemInstruction = systemPrompt || getSystemPrompt(promptType);
+    const modelName = getModel(modelTier);
     const model = genAI.getGenerativeModel({
-      model: AppConfig.api.gemini.defaultModel,
+      model: modelName,
       systemInstruction,
       tools: tools && tools.length > 0 ? [{ functionDeclarations: transformToolsForGemini(tools) }] : undefined,
     });
@@ -135,7 +271,7 @@ export function createGeminiService(apiKey = process.env.GEMINI_API_KEY) {
     // Call generateContentStream with error handling for ReadableStream polyfill conflicts
     let result;
     try {
-      result = await model.generateContentStream({ contents: geminiHistory });
+      result = await model.generateContentStream({ contents: geminiHistory }, { signal });
     } catch (error) {
       // If this is a ReadableStream compatibility issue, gracefully fall back to non-streaming
       const isReadableStreamCompatIssue = Boolean(
@@ -146,7 +282,7 @@ export function createGeminiService(apiKey = process.env.GEMINI_API_KEY) {
         console.warn("Gemini Service: ReadableStream compatibility issue detected. Falling back to non-streaming mode.");
 
         // Non-streaming fallback: get the full response and simulate streaming chunks
-        const nonStream = await model.generateContent({ contents: geminiHistory });
+        const nonStream = await model.generateContent({ contents: geminiHistory }, { signal });
         const aggregatedResponse = await nonStream.response;
 
         // Extract text and simulate chunked streaming
@@ -165,30 +301,13 @@ export function createGeminiService(apiKey = process.env.GEMINI_API_KEY) {
           ?.filter(part => !!part.functionCall)
           ?.map(part => part.functionCall) || [];
 
-        if (streamHandlers.onToolUse && geminiToolCalls.length > 0) {
-          for (const geminiCall of geminiToolCalls) {
-            const claudeToolUseObject = {
-              type: 'tool_use', id: geminiCall.name, name: geminiCall.name, input: geminiCall.args,
-            };
-            await streamHandlers.onToolUse(claudeToolUseObject);
-          }
-        }
-
-        // Final message
-        const finalMessage = {
-          role: 'assistant',
-          content: geminiToolCalls.length > 0
-            ? geminiToolCalls.map(tc => ({ type: 'tool_use', id: tc.name, name: tc.name, input: tc.args }))
-            : [{ type: 'text', text: fullText }],
-          model: AppConfig.api.gemini.defaultModel,
-          stop_reason: mapFinishReason(responseCandidate?.finishReason),
-        };
-
-        if (streamHandlers.onMessage) {
-          streamHandlers.onMessage(finalMessage);
-        }
-
-        return finalMessage;
+        return completeMessage({
+          text: fullText,
+          geminiToolCalls,
+          finishReason: responseCandidate?.finishReason,
+          usageMetadata: aggregatedResponse.usageMetadata,
+          modelName
+        }, streamHandlers);
       }
 
       // Re-throw other errors as-is
@@ -233,30 +352,13 @@ export function createGeminiService(apiKey = process.env.GEMINI_API_KEY) {
       .filter(part => !!part.functionCall)
       .map(part => part.functionCall) || [];
 
-    if (streamHandlers.onToolUse && geminiToolCalls.length > 0) {
-      for (const geminiCall of geminiToolCalls) {
-        const claudeToolUseObject = {
-          type: 'tool_use', id: geminiCall.name, name: geminiCall.name, input: geminiCall.args,
-        };
-        await streamHandlers.onToolUse(claudeToolUseObject);
-      }
-    }
-
-    // Construct the final message object to return, perfectly matching Claude's format.
-    const finalMessage = {
-      role: 'assistant',
-      content: geminiToolCalls.length > 0
-        ? geminiToolCalls.map(tc => ({ type: 'tool_use', id: tc.name, name: tc.name, input: tc.args }))
-        : [{ type: 'text', text: fullResponseText }], // This is the format your app expects.
-      model: AppConfig.api.gemini.defaultModel,
-      stop_reason: mapFinishReason(responseCandidate.finishReason),
-    };
-    
-    if (streamHandlers.onMessage) {
-        streamHandlers.onMessage(finalMessage);
-    }
-
-    return finalMessage;
+    return completeMessage({
+      text: fullResponseText,
+      geminiToolCalls,
+      finishReason: responseCandidate.finishReason,
+      usageMetadata: aggregatedResponse.usageMetadata,
+      modelName
+    }, streamHandlers);
   };
 
   const getSystemPrompt = (promptType) => {
@@ -264,16 +366,53 @@ export function createGeminiService(apiKey = process.env.GEMINI_API_KEY) {
       systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
   };
 
+  const getModel = (modelTier) => {
+    return modelTier === 'economy'
+      ? AppConfig.api.gemini.economyModel
+      : AppConfig.api.gemini.defaultModel;
+  };
+
   return { streamConversation, getSystemPrompt };
 }
 
 // Helper functions (no changes needed from your original code)
+/**
+ * Translates Gemini's `usageMetadata` into Claude's `usage` format.
+ * Gemini counts cached tokens as part of the prompt, Claude reports them separately.
+ * @param {Object} usageMetadata - Gemini token usage.
+ * @returns {Object} Claude-formatted usage.
+ */
+function mapUsage(usageMetadata = {}) {
+  const cachedTokens = usageMetadata.cachedContentTokenCount || 0;
+
+  return {
+    input_tokens: Math.max((usageMetadata.promptTokenCount || 0) - cachedTokens, 0),
+    output_tokens: usageMetadata.candidatesTokenCount || 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: cachedTokens,
+  };
+}
+
+/**
+ * Maps a Gemini finish reason to a Claude stop reason.
+ * Unknown reasons are passed through (lowercased) rather than reported as a normal end of turn,
+ * so the chat loop can tell a truncated or blocked response from a finished one.
+ * @param {string} reason - Gemini finish reason.
+ * @returns {string} The Claude stop reason.
+ */
 function mapFinishReason(reason) {
   switch (reason) {
+    case undefined:
+    case null:
     case 'STOP': return 'end_turn';
     case 'TOOL_USE': return 'tool_use';
     case 'MAX_TOKENS': return 'max_tokens';
-    default: return 'end_turn';
+    case 'SAFETY':
+    case 'RECITATION':
+    case 'BLOCKLIST':
+    case 'PROHIBITED_CONTENT':
+    case 'SPII': return 'refusal';
+    default: return String(reason).toLowerCase();
   }
 }
 
@@ -302,6 +441,12 @@ function cleanParameters(params) {
   return cleanedParams;
 }
 
+registerProvider({
+  name: 'gemini',
+  capabilities: { streaming: true, toolUse: true, vision: true },
+  factory: createGeminiService
+});
+
 export default {
   createGeminiService
 };
@@ -0,0 +1,227 @@
+/**
+ * MCP Servers Service
+ * Validates the third-party MCP servers merchants add in the admin and namespaces
+ * their tool names so they cannot collide with Shopify's tools or with each other
+ */
+import dns from "dns";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { Agent } from "undici";
+import AppConfig from "./config.server";
+
+/**
+ * Separates the server name from the tool name in namespaced tool names
+ */
+export const TOOL_NAMESPACE_SEPARATOR = '__';
+
+// Server names may not contain underscores, so the separator is unambiguous
+const SERVER_NAME_PATTERN = /^[a-z0-9-]{1,20}$/;
+// Names of Shopify's own servers, used to namespace their prompts
+const RESERVED_SERVER_NAMES = ['storefront', 'customer'];
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Addresses the app must not send merchant-configured requests to: its own host and
+ * network, such as cloud metadata endpoints and internal services. IPv4-mapped IPv6
+ * addresses are checked against the IPv4 subnets.
+ */
+const PRIVATE_ADDRESSES = new BlockList();
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+/**
+ * Tool names accepted by all providers
+ */
+export const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Prefixes a tool name with the name of its server
+ * @param {string} serverName - The server name
+ * @param {string} toolName - The tool name reported by the server
+ * @returns {string|null} The namespaced tool name, or null if it is not a valid tool name
+ */
+export function namespaceToolName(serverName, toolName) {
+  const name = `${serverName}${TOOL_NAMESPACE_SEPARATOR}${toolName}`;
+  return TOOL_NAME_PATTERN.test(name) ? name : null;
+}
+
+/**
+ * Checks whether a prompt type names an MCP server prompt (`<server>__<prompt name>`)
+ * rather than one of the prompts in prompts.json
+ * @param {string} promptType - The prompt type
+ * @returns {boolean} True for MCP server prompts
+ */
+export function isMcpPromptType(promptType) {
+  return typeof promptType === 'string' && promptType.indexOf(TOOL_NAMESPACE_SEPARATOR) > 0;
+}
+
+/**
+ * Parses HTTP headers entered one per line as `Name: value`
+ * @param {string} text - The headers text
+ * @returns {{headers: Object, error: string|null}} The headers, or an error for the first invalid line
+ */
+export function parseHeaders(text) {
+  const headers = {};
+
+  for (const line of (text || '').split('\n')) {
+    if (!line.trim()) continue;
+
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      return { headers: {}, error: `Invalid header line: ${line.trim()}` };
+    }
+
+    headers[name] = line.slice(separator + 1).trim();
+  }
+
+  return { headers, error: null };
+}
+
+/**
+ * Checks whether an IP address is loopback, private (RFC 1918), link-local or unique-local
+ * @param {string} address - The IP address
+ * @returns {boolean} True if the address is not publicly routable
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return PRIVATE_ADDRESSES.check(address, family);
+}
+
+/**
+ * Resolves a host name like `dns.lookup`, but fails if it resolves to an address that
+ * is not publicly routable, so the address that is checked is the one connected to
+ * @param {string} hostname - The host name
+ * @param {Object} options - `dns.lookup` options
+ * @param {Function} callback - Called like the `dns.lookup` callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      const privateError = new Error(`${hostname} does not resolve to a public address`);
+      privateError.code = 'EPRIVATEADDRESS';
+      callback(privateError);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Connects requests to merchants' MCP servers only to public addresses. A host that passed
+ * `checkServerUrl` could otherwise resolve to the app's own network by the time the request
+ * is sent (DNS rebinding).
+ */
+export const publicOnlyAgent = new Agent({
+  connect: { lookup: lookupPublicAddress }
+});
+
+/**
+ * Checks that the app may send requests to an MCP server URL: it must use https, and its
+ * host must only resolve to public addresses. Checked when the server is saved and again
+ * when the chat connects to it, since the host's DNS records can change in between.
+ * @param {string} url - The server's MCP endpoint
+ * @returns {Promise<string|null>} Why the URL is not allowed, or null if it is
+ */
+export async function checkServerUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "Enter a valid URL";
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return "The URL must use https";
+  }
+
+  let addresses;
+  try {
+    // IPv6 hosts are bracketed in URLs
+    addresses = await lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (error) {
+    return "The server's host name could not be resolved";
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return "The server must be reachable on the public internet";
+  }
+
+  return null;
+}
+
+/**
+ * Validates an MCP server entered in the admin
+ * @param {Object} input - The form values
+ * @param {string} input.name - Prefix for the server's tool names
+ * @param {string} input.url - The server's MCP endpoint
+ * @param {string} input.headers - HTTP headers, one `Name: value` per line
+ * @param {number} existingCount - Number of servers the shop already has
+ * @returns {Promise<{server: Object|null, errors: Object}>} The server to save, or errors keyed by field
+ */
+export async function validateMcpServer({ name, url, headers }, existingCount) {
+  const errors = {};
+  const serverName = (name || '').trim();
+  const serverUrl = (url || '').trim();
+
+  if (!SERVER_NAME_PATTERN.test(serverName)) {
+    errors.name = "Use up to 20 lowercase letters, numbers or hyphens";
+  } else if (RESERVED_SERVER_NAMES.includes(serverName)) {
+    errors.name = `"${serverName}" is reserved for Shopify's MCP servers`;
+  }
+
+  const urlError = await checkServerUrl(serverUrl);
+  if (urlError) {
+    errors.url = urlError;
+  }
+
+  const parsedHeaders = parseHeaders(headers);
+  if (parsedHeaders.error) {
+    errors.headers = parsedHeaders.error;
+  }
+
+  if (existingCount >= AppConfig.mcp.maxServersPerShop) {
+    errors.name = `You can add up to ${AppConfig.mcp.maxServersPerShop} servers`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { server: null, errors };
+  }
+
+  return {
+    server: { name: serverName, url: serverUrl, headers: parsedHeaders.headers },
+    errors
+  };
+}
+
+export default {
+  TOOL_NAMESPACE_SEPARATOR,
+  TOOL_NAME_PATTERN,
+  namespaceToolName,
+  isMcpPromptType,
+  parseHeaders,
+  isPrivateAddress,
+  checkServerUrl,
+  publicOnlyAgent,
+  validateMcpServer
+};
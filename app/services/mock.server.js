@@ -0,0 +1,225 @@
+/**
+ * Mock Service
+ * A scripted, deterministic stand-in for the Claude service used for offline end-to-end tests.
+ * It replays canned text chunks, tool_use blocks and stop reasons from a fixture file
+ * through the same `streamConversation(params, streamHandlers)` contract.
+ *
+ * Fixture format:
+ * {
+ *   "scenarios": [
+ *     {
+ *       "match": "snowboard",            // Case-insensitive regex tested against the latest shopper message
+ *       "turns": [                       // One entry per model call within a chat turn
+ *         {
+ *           "chunks": ["Let me ", "look"],  // Text streamed through onText
+ *           "toolUses": [{ "name": "search_shop_catalog", "input": {} }],
+ *           "stopReason": "tool_use",
+ *           "usage": { "input_tokens": 120, "output_tokens": 15 },  // Optional, reported through onMessage
+ *           "error": { "status": 429, "message": "Overloaded" }  // Optional, throws instead
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ * A scenario without `match` is used when no other scenario matches.
+ */
+import fs from "fs";
+import AppConfig from "./config.server";
+import systemPrompts from "../prompts/prompts.json";
+import defaultFixture from "./fixtures/mock-llm/default.json";
+import { registerProvider } from "./provider-registry.server";
+
+/**
+ * Loads a fixture from disk, falling back to the bundled default fixture
+ * @param {string} fixturePath - Path to a JSON fixture file
+ * @returns {Object} The parsed fixture
+ */
+function loadFixture(fixturePath) {
+  if (!fixturePath) {
+    return defaultFixture;
+  }
+
+  return JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+}
+
+/**
+ * Checks whether a user message was typed by the shopper rather than carrying tool results
+ * @param {Object} message - A conversation message
+ * @returns {boolean} True for shopper messages
+ */
+function isShopperMessage(message) {
+  if (message.role !== 'user') return false;
+  if (typeof message.content === 'string') return true;
+
+  return Array.isArray(message.content) &&
+    !message.content.some(block => block.type === 'tool_result');
+}
+
+/**
+ * Gets the text of a message
+ * @param {Object} message - A conversation message
+ * @returns {string} The message text
+ */
+function getMessageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Creates a mock service that mimics the Claude service.
+ * @param {string} fixturePath - Path to the fixture file to replay
+ * @returns {Object} A service object with a `streamConversation` method.
+ */
+export function createMockService(fixturePath = process.env.MOCK_LLM_FIXTURE) {
+  const fixture = loadFixture(fixturePath);
+
+  /**
+   * Finds the turn to replay from the conversation so far. The scenario is picked from the
+   * latest shopper message and the turn from the number of assistant replies since then,
+   * so the same history always produces the same response.
+   * @param {Array} messages - Conversation history
+   * @returns {{turn: Object, shopperIndex: number, turnIndex: number}} The turn to replay
+   */
+  const selectTurn = (messages) => {
+    let shopperIndex = -1;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (isShopperMessage(messages[i])) {
+        shopperIndex = i;
+        break;
+      }
+    }
+
+    const shopperText = shopperIndex >= 0 ? getMessageText(messages[shopperIndex]) : '';
+    const scenario = fixture.scenarios.find(candidate =>
+      candidate.match && new RegExp(candidate.match, 'i').test(shopperText)
+    ) || fixture.scenarios.find(candidate => !candidate.match);
+
+    if (!scenario) {
+      throw new Error(`No mock scenario matches message: ${shopperText}`);
+    }
+
+    const turnIndex = messages
+      .slice(shopperIndex + 1)
+      .filter(message => message.role === 'assistant')
+      .length;
+
+    // Past the end of the script, end the turn instead of looping forever
+    const turn = scenario.turns[turnIndex] || { chunks: [], stopReason: 'end_turn' };
+
+    return { turn, shopperIndex, turnIndex };
+  };
+
+  /**
+   * Streams a scripted response
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.systemPrompt - System prompt text that replaces the prompt type's (unused)
+   * @param {Array} params.tools - Available tools (unused)
+   * @param {AbortSignal} params.signal - Aborts the response, e.g. when the chat turn runs out of time
+   * @param {Object} streamHandlers - Stream event handlers
+   * @returns {Promise<Object>} The final message
+   */
+  const streamConversation = async ({ messages, signal }, streamHandlers) => {
+    signal?.throwIfAborted();
+
+    const { turn, shopperIndex, turnIndex } = selectTurn(messages);
+
+    if (turn.error) {
+      const errorObj = new Error(turn.error.message || 'Mock provider error');
+      errorObj.status = turn.error.status;
+      throw errorObj;
+    }
+
+    const chunks = turn.chunks || [];
+    for (const chunk of chunks) {
+      if (streamHandlers.onText) {
+        streamHandlers.onText(chunk);
+      }
+    }
+
+    const content = [];
+    const text = chunks.join('');
+
+    if (text) {
+      const textBlock = { type: 'text', text };
+      content.push(textBlock);
+
+      if (streamHandlers.onContentBlock) {
+        streamHandlers.onContentBlock(textBlock);
+      }
+    }
+
+    // Like the real providers, tool calls of a response cut off at max_tokens are dropped
+    const toolUses = turn.stopReason === 'max_tokens' ? [] : turn.toolUses || [];
+
+    toolUses.forEach((toolUse, index) => {
+      content.push({
+        type: 'tool_use',
+        id: `toolu_mock_${shopperIndex}_${turnIndex}_${index}`,
+        name: toolUse.name,
+        input: toolUse.input || {}
+      });
+    });
+
+    const finalMessage = {
+      role: 'assistant',
+      content,
+      model: 'mock',
+      stop_reason: turn.stopReason || (toolUses.length ? 'tool_use' : 'end_turn'),
+      usage: {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 0,
+        ...turn.usage
+      }
+    };
+
+    if (streamHandlers.onMessage) {
+      streamHandlers.onMessage(finalMessage);
+    }
+
+    // Process tool use requests together so they can run in parallel
+    const toolUseBlocks = content.filter(block => block.type === 'tool_use');
+    if (streamHandlers.onToolUses && toolUseBlocks.length > 0) {
+      await streamHandlers.onToolUses(toolUseBlocks);
+    }
+
+    return finalMessage;
+  };
+
+  /**
+   * Gets the system prompt content for a given prompt type
+   * @param {string} promptType - The prompt type to retrieve
+   * @returns {string} The system prompt content
+   */
+  const getSystemPrompt = (promptType) => {
+    return systemPrompts.systemPrompts[promptType]?.content ||
+      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+  };
+
+  return {
+    streamConversation,
+    getSystemPrompt
+  };
+}
+
+// Canned replies must never reach real shoppers, not even through a provider override
+if (AppConfig.api.enableMockProvider) {
+  registerProvider({
+    name: 'mock',
+    capabilities: { streaming: true, toolUse: true, vision: false },
+    factory: createMockService
+  });
+}
+
+export default {
+  createMockService
+};
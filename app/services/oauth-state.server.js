@@ -0,0 +1,106 @@
+/**
+ * OAuth State Service
+ * Creates and verifies the `state` parameter of the customer authorization flow. The state
+ * is opaque to the shopper and signed with the app's secret, so the callback can trust the
+ * conversation and shop it names. Each state is single-use: its PKCE code verifier is
+ * deleted when the callback redeems it.
+ */
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import AppConfig from "./config.server";
+
+/**
+ * Reasons a state is rejected
+ */
+export const OAuthStateError = {
+  INVALID: 'invalid',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Gets the key states are signed with
+ * @returns {string} The app's API secret
+ * @throws {Error} If the secret is not configured
+ */
+function getSecret() {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    throw new Error("SHOPIFY_API_SECRET environment variable is required to sign OAuth state");
+  }
+
+  return secret;
+}
+
+/**
+ * Signs a payload
+ * @param {string} payload - The base64url-encoded payload
+ * @returns {Buffer} The signature
+ */
+function sign(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest();
+}
+
+/**
+ * Creates a signed state for an authorization request
+ * @param {Object} params - What the callback needs to know
+ * @param {string} params.conversationId - The conversation to store the token for
+ * @param {string} params.shopId - The shop ID
+ * @returns {string} The state, valid once until it expires
+ */
+export function createOAuthState({ conversationId, shopId }) {
+  const payload = Buffer.from(JSON.stringify({
+    conversationId,
+    shopId,
+    nonce: randomBytes(16).toString('base64url'),
+    expiresAt: Date.now() + AppConfig.customerAuth.stateTtlMs
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload).toString('base64url')}`;
+}
+
+/**
+ * Verifies a state's signature and expiry
+ * @param {string} state - The state from the callback
+ * @returns {{payload: Object|null, error: string|null}} The conversation and shop the state
+ *   was created for, or one of OAuthStateError
+ */
+export function verifyOAuthState(state) {
+  const [payload, signature, ...rest] = (state || '').split('.');
+
+  if (!payload || !signature || rest.length > 0) {
+    return { payload: null, error: OAuthStateError.INVALID };
+  }
+
+  const expected = sign(payload);
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { payload: null, error: OAuthStateError.INVALID };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { payload: null, error: OAuthStateError.INVALID };
+  }
+
+  if (!data.conversationId || !data.shopId || !data.nonce) {
+    return { payload: null, error: OAuthStateError.INVALID };
+  }
+
+  if (!(data.expiresAt > Date.now())) {
+    return { payload: null, error: OAuthStateError.EXPIRED };
+  }
+
+  return {
+    payload: { conversationId: data.conversationId, shopId: data.shopId },
+    error: null
+  };
+}
+
+export default {
+  OAuthStateError,
+  createOAuthState,
+  verifyOAuthState
+};
@@ -0,0 +1,404 @@
+/**
+ * OpenAI-Compatible Service (Adapter)
+ * Talks to any OpenAI-compatible `/chat/completions` endpoint (OpenAI, Azure OpenAI,
+ * vLLM, Ollama, ...) and adapts it to behave like the Claude service:
+ * Claude-formatted history and tools are translated to chat completions messages and
+ * function definitions, and streamed `tool_calls` are translated back into `tool_use` blocks.
+ */
+import AppConfig from "./config.server";
+import systemPrompts from "../prompts/prompts.json";
+import { registerProvider } from "./provider-registry.server";
+
+/**
+ * Converts tool result content into the plain string expected by a `tool` message
+ * @param {string|Array|Object} content - Tool result content in Claude format
+ * @returns {string} The tool result as text
+ */
+function toolResultToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map(block => (block.type === 'text' ? block.text : JSON.stringify(block)))
+      .join('\n');
+  }
+
+  return JSON.stringify(content ?? '');
+}
+
+/**
+ * Extracts the text of a Claude message content
+ * @param {string|Array} content - Message content
+ * @returns {string} The joined text blocks
+ */
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .filter(block => block.type === 'text' && typeof block.text === 'string')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  return '';
+}
+
+/**
+ * Translates the application's Claude-formatted history into chat completions messages
+ * @param {Array<Object>} messages - The conversation history
+ * @param {string} systemInstruction - The system prompt
+ * @returns {Array<Object>} Messages for the chat completions API
+ */
+function formatHistoryForOpenAI(messages, systemInstruction) {
+  const formatted = [{ role: 'system', content: systemInstruction }];
+
+  for (const msg of messages) {
+    if (msg.role === 'assistant') {
+      const toolUses = Array.isArray(msg.content)
+        ? msg.content.filter(block => block.type === 'tool_use')
+        : [];
+      const text = contentToText(msg.content);
+
+      formatted.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolUses.length > 0 && {
+          tool_calls: toolUses.map(toolUse => ({
+            id: toolUse.id,
+            type: 'function',
+            function: {
+              name: toolUse.name,
+              arguments: JSON.stringify(toolUse.input ?? {})
+            }
+          }))
+        })
+      });
+      continue;
+    }
+
+    if (msg.role === 'user') {
+      const toolResults = Array.isArray(msg.content)
+        ? msg.content.filter(block => block.type === 'tool_result')
+        : [];
+
+      // Each tool result becomes its own `tool` message
+      for (const toolResult of toolResults) {
+        formatted.push({
+          role: 'tool',
+          tool_call_id: toolResult.tool_use_id,
+          content: toolResultToText(toolResult.content)
+        });
+      }
+
+      const text = contentToText(msg.content);
+      if (text || toolResults.length === 0) {
+        formatted.push({ role: 'user', content: text });
+      }
+    }
+  }
+
+  return formatted;
+}
+
+/**
+ * Translates Claude-formatted tools into chat completions function definitions
+ * @param {Array<Object>} tools - Tools with `name`, `description` and `input_schema`
+ * @returns {Array<Object>} Function tool definitions
+ */
+function transformToolsForOpenAI(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema || { type: 'object', properties: {} }
+    }
+  }));
+}
+
+/**
+ * Maps a chat completions finish reason to a Claude stop reason
+ * @param {string} reason - The finish reason
+ * @returns {string} The Claude stop reason
+ */
+function mapFinishReason(reason) {
+  switch (reason) {
+    case 'stop': return 'end_turn';
+    case 'tool_calls': return 'tool_use';
+    case 'function_call': return 'tool_use';
+    case 'length': return 'max_tokens';
+    case 'content_filter': return 'refusal';
+    default: return 'end_turn';
+  }
+}
+
+/**
+ * Translates chat completions usage into Claude's `usage` format.
+ * Cached prompt tokens are included in `prompt_tokens`, Claude reports them separately.
+ * @param {Object} usage - Chat completions usage, if the server reported it
+ * @returns {Object} Claude-formatted usage
+ */
+function mapUsage(usage) {
+  const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+
+  return {
+    input_tokens: Math.max((usage?.prompt_tokens || 0) - cachedTokens, 0),
+    output_tokens: usage?.completion_tokens || 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: cachedTokens
+  };
+}
+
+/**
+ * Parses tool call arguments, tolerating empty or malformed JSON
+ * @param {string} args - The streamed arguments string
+ * @returns {Object} The parsed arguments
+ */
+function parseToolArguments(args) {
+  if (!args) return {};
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    console.warn("OpenAI Service: could not parse tool arguments:", args);
+    return {};
+  }
+}
+
+/**
+ * Reads a server-sent events body and yields each parsed `data:` payload
+ * @param {ReadableStream} body - The response body
+ * @returns {AsyncGenerator<Object>} Parsed chunks
+ */
+async function* readSseChunks(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      try {
+        yield JSON.parse(data);
+      } catch (error) {
+        console.warn("OpenAI Service: skipping malformed stream chunk:", data);
+      }
+    }
+  }
+}
+
+/**
+ * Creates a service for an OpenAI-compatible endpoint that mimics the Claude service.
+ * @param {string} apiKey - API key for the endpoint (optional for local servers)
+ * @param {string} baseUrl - Base URL of the API, e.g. https://api.openai.com/v1
+ * @returns {Object} A service object with a `streamConversation` method.
+ */
+export function createOpenAIService(
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = AppConfig.api.openai.baseUrl
+) {
+  const { apiVersion } = AppConfig.api.openai;
+  // OpenAI itself, rather than Azure or another compatible server
+  const isOpenAiHost = /^https:\/\/api\.openai\.com(\/|$)/.test(baseUrl);
+
+  /**
+   * Builds the chat completions URL and headers, using Azure's conventions when an API version is set
+   * @returns {{url: string, headers: Object}} Request URL and headers
+   */
+  const getRequestTarget = () => {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions${apiVersion ? `?api-version=${apiVersion}` : ''}`;
+    const headers = { "Content-Type": "application/json" };
+
+    if (apiKey) {
+      if (apiVersion) {
+        headers["api-key"] = apiKey;
+      } else {
+        headers["Authorization"] = `Bearer ${apiKey}`;
+      }
+    }
+
+    return { url, headers };
+  };
+
+  /**
+   * Streams a conversation with the OpenAI-compatible endpoint
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {string} params.systemPrompt - System prompt text that replaces the prompt type's, e.g. from an MCP server
+   * @param {Array} params.tools - Available tools
+   * @param {string} params.modelTier - "economy" to use the cheaper model
+   * @param {AbortSignal} params.signal - Aborts the request, e.g. when the chat turn runs out of time
+   * @param {Object} streamHandlers - Stream event handlers
+   * @returns {Promise<Object>} The final message, in Claude format
+   */
+  const streamConversation = async ({
+    messages,
+    promptType = AppConfig.api.defaultPromptType,
+    systemPrompt,
+    tools,
+    modelTier,
+    signal
+  }, streamHandlers) => {
+    const systemInstruction = systemPrompt || getSystemPrompt(promptType);
+    const modelName = getModel(modelTier);
+    const { url, headers } = getRequestTarget();
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: modelName,
+        // OpenAI deprecated max_tokens, which its reasoning models reject; compatible servers may only know max_tokens
+        [isOpenAiHost ? 'max_completion_tokens' : 'max_tokens']: AppConfig.api.openai.maxTokens,
+        messages: formatHistoryForOpenAI(messages, systemInstruction),
+        tools: tools && tools.length > 0 ? transformToolsForOpenAI(tools) : undefined,
+        stream: true,
+        stream_options: { include_usage: true }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      const errorObj = new Error(`OpenAI request failed: ${response.status} ${error}`);
+      errorObj.status = response.status;
+      throw errorObj;
+    }
+
+    let fullResponseText = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    for await (const chunk of readSseChunks(response.body)) {
+      // Usage arrives in a final chunk without choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        fullResponseText += delta.content;
+        if (streamHandlers.onText) {
+          streamHandlers.onText(delta.content);
+        }
+      }
+
+      // Tool calls arrive in fragments keyed by index
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const index = toolCallDelta.index ?? toolCalls.length;
+        const toolCall = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+
+        if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) toolCall.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) toolCall.arguments += toolCallDelta.function.arguments;
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    }
+
+    const content = [];
+
+    if (fullResponseText) {
+      const textBlock = { type: 'text', text: fullResponseText };
+      content.push(textBlock);
+
+      if (streamHandlers.onContentBlock) {
+        streamHandlers.onContentBlock(textBlock);
+      }
+    }
+
+    // Tool calls cut off at max_tokens have incomplete arguments, so they are not run
+    const completeToolCalls = finishReason === 'length' ? [] : toolCalls.filter(Boolean);
+
+    for (const toolCall of completeToolCalls) {
+      content.push({
+        type: 'tool_use',
+        // Some local servers omit call IDs, but Claude-format history needs them
+        id: toolCall.id || `call_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+        name: toolCall.name,
+        input: parseToolArguments(toolCall.arguments)
+      });
+    }
+
+    const finalMessage = {
+      role: 'assistant',
+      content: content.length > 0 ? content : [{ type: 'text', text: '' }],
+      model: modelName,
+      stop_reason: completeToolCalls.length > 0 ? 'tool_use' : mapFinishReason(finishReason),
+      usage: mapUsage(usage)
+    };
+
+    if (streamHandlers.onMessage) {
+      streamHandlers.onMessage(finalMessage);
+    }
+
+    // Process tool use requests together so they can run in parallel
+    const toolUses = finalMessage.content.filter(block => block.type === 'tool_use');
+    if (streamHandlers.onToolUses && toolUses.length > 0) {
+      await streamHandlers.onToolUses(toolUses);
+    }
+
+    return finalMessage;
+  };
+
+  /**
+   * Gets the system prompt content for a given prompt type
+   * @param {string} promptType - The prompt type to retrieve
+   * @returns {string} The system prompt content
+   */
+  const getSystemPrompt = (promptType) => {
+    return systemPrompts.systemPrompts[promptType]?.content ||
+      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+  };
+
+  /**
+   * Gets the model to use for a model tier
+   * @param {string} modelTier - "economy" for the cheaper model, anything else for the default
+   * @returns {string} The model name
+   */
+  const getModel = (modelTier) => {
+    return modelTier === 'economy'
+      ? AppConfig.api.openai.economyModel
+      : AppConfig.api.openai.defaultModel;
+  };
+
+  return {
+    streamConversation,
+    getSystemPrompt
+  };
+}
+
+registerProvider({
+  name: 'openai',
+  capabilities: { streaming: true, toolUse: true, vision: true },
+  factory: createOpenAIService
+});
+
+export default {
+  createOpenAIService
+};
@@ -0,0 +1,149 @@
+/**
+ * Provider Registry
+ * Keeps track of the AI providers available to the chat route
+ */
+import AppConfig from "./config.server";
+import { createFailoverService } from "./failover.server";
+
+/**
+ * Registered providers keyed by name
+ * @type {Map<string, {name: string, capabilities: Object, factory: Function}>}
+ */
+const providers = new Map();
+
+/**
+ * Capabilities assumed for a provider unless it says otherwise
+ */
+const defaultCapabilities = {
+  streaming: false,
+  toolUse: false,
+  vision: false
+};
+
+/**
+ * Registers an AI provider
+ * @param {Object} provider - Provider definition
+ * @param {string} provider.name - Unique provider name (e.g. "claude")
+ * @param {Object} provider.capabilities - Supported features
+ * @param {boolean} provider.capabilities.streaming - Whether text is streamed as it is generated
+ * @param {boolean} provider.capabilities.toolUse - Whether the provider can call tools
+ * @param {boolean} provider.capabilities.vision - Whether the provider accepts image input
+ * @param {Function} provider.factory - Creates a service exposing `streamConversation`
+ * @returns {Object} The registered provider
+ */
+export function registerProvider({ name, capabilities = {}, factory }) {
+  if (!name) {
+    throw new Error("Provider name is required");
+  }
+
+  if (typeof factory !== "function") {
+    throw new Error(`Provider ${name} must have a factory function`);
+  }
+
+  const provider = {
+    name,
+    capabilities: { ...defaultCapabilities, ...capabilities },
+    factory
+  };
+
+  providers.set(name, provider);
+
+  return provider;
+}
+
+/**
+ * Gets a registered provider by name
+ * @param {string} name - The provider name
+ * @returns {Object|null} The provider or null if not registered
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Lists all registered providers
+ * @returns {Array<Object>} The registered providers
+ */
+export function listProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Checks whether a provider supports all the required capabilities
+ * @param {Object} provider - The provider
+ * @param {Array<string>} requiredCapabilities - Capability names that must be supported
+ * @returns {boolean} True if every capability is supported
+ */
+function supportsCapabilities(provider, requiredCapabilities) {
+  return requiredCapabilities.every(capability => provider.capabilities[capability]);
+}
+
+/**
+ * Resolves which provider should handle a chat request.
+ * A provider requested explicitly wins (when request overrides are enabled), then
+ * the shop's configured provider, then the default provider.
+ * @param {Object} options - Resolution options
+ * @param {string} options.shopId - The shop ID
+ * @param {string} options.requestedProvider - Provider name requested by the client
+ * @param {Array<string>} options.requiredCapabilities - Capabilities the provider must support
+ * @returns {Object} The resolved provider
+ * @throws {Error} If no registered provider matches
+ */
+export function resolveProvider({
+  shopId,
+  requestedProvider,
+  requiredCapabilities = []
+} = {}) {
+  const candidates = [
+    AppConfig.api.allowProviderOverride ? requestedProvider : null,
+    shopId ? AppConfig.api.shopProviders[shopId] : null,
+    AppConfig.api.defaultProvider
+  ];
+
+  for (const name of candidates) {
+    if (!name) continue;
+
+    const provider = getProvider(name);
+
+    if (!provider) {
+      console.warn(`AI provider ${name} is not registered, skipping`);
+      continue;
+    }
+
+    if (!supportsCapabilities(provider, requiredCapabilities)) {
+      console.warn(`AI provider ${name} does not support ${requiredCapabilities.join(", ")}, skipping`);
+      continue;
+    }
+
+    return provider;
+  }
+
+  throw new Error("No AI provider available for this request");
+}
+
+/**
+ * Creates an AI service for the provider resolved for a request.
+ * The configured provider chain is appended as fallbacks, so transient errors are
+ * retried and a failing provider hands the conversation to the next one.
+ * @param {Object} options - Resolution options, see resolveProvider
+ * @returns {Object} The AI service with a `streamConversation` method
+ */
+export function createAiService(options = {}) {
+  const { requiredCapabilities = [] } = options;
+  const primary = resolveProvider(options);
+
+  const fallbacks = AppConfig.api.providerChain
+    .filter(name => name !== primary.name)
+    .map(getProvider)
+    .filter(provider => provider && supportsCapabilities(provider, requiredCapabilities));
+
+  return createFailoverService([primary, ...fallbacks]);
+}
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveProvider,
+  createAiService
+};
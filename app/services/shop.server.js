@@ -0,0 +1,51 @@
+/**
+ * Shop Service
+ * Identifies the shop in embedded admin routes, and the shop a storefront request comes from
+ */
+import { verifyShopIdentity } from "./customer-identity.server";
+
+/**
+ * Gets the numeric ID of the shop an admin request is for.
+ * The chat widget identifies shops by this ID, not the domain.
+ * @param {Object} admin - Admin API context from `authenticate.admin`
+ * @returns {Promise<string>} The shop ID
+ */
+export async function getShopId(admin) {
+  const response = await admin.graphql(
+    `#graphql
+    query shopId {
+      shop {
+        id
+      }
+    }`,
+  );
+  const body = await response.json();
+
+  return body.data.shop.id.split("/").pop();
+}
+
+/**
+ * Gets the numeric ID of the shop a storefront request comes from. The shop ID the widget
+ * sends is public, so anyone could send another shop's; it is only trusted along with the
+ * signature the theme extension renders for it, which only the shop's storefront has.
+ * @param {Request} request - The storefront request, with `X-Shopify-Shop-Id` and `X-Shopify-Shop-Signature`
+ * @returns {string|null} The shop ID, or null if it is missing or not signed for the shop
+ */
+export function getStorefrontShopId(request) {
+  const shopId = request.headers.get("X-Shopify-Shop-Id");
+
+  try {
+    if (verifyShopIdentity(shopId, request.headers.get("X-Shopify-Shop-Signature"))) {
+      return shopId;
+    }
+  } catch (error) {
+    console.error("Failed to verify the storefront's shop:", error.message);
+  }
+
+  return null;
+}
+
+export default {
+  getShopId,
+  getStorefrontShopId
+};
@@ -0,0 +1,149 @@
+/**
+ * Tool Cache Service
+ * Keeps the tool lists and context resources of MCP servers per shop, so chat turns don't
+ * have to ask every server for its tools and resources before the model is called. The cache
+ * lives in the server process; the TTL bounds how long other processes keep serving an entry
+ * that was invalidated here.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Cached tool lists keyed by shop and endpoint
+ * @type {Map<string, {tools: Array, capabilities: Object|null, expiresAt: number}>}
+ */
+const toolLists = new Map();
+
+/**
+ * Cached context resources keyed by shop and endpoint
+ * @type {Map<string, {resources: Array, expiresAt: number}>}
+ */
+const contextResources = new Map();
+
+/**
+ * Builds the cache key for a shop's server
+ * @param {string} shopId - The shop ID
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {string} The cache key
+ */
+function cacheKey(shopId, endpoint) {
+  return `${shopId || ''} ${endpoint}`;
+}
+
+/**
+ * Gets an entry that has not expired yet, removing it if it has
+ * @param {Map} cache - The cache to read
+ * @param {string} shopId - The shop ID
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {Object|null} The entry, or null if not cached or expired
+ */
+function getEntry(cache, shopId, endpoint) {
+  const key = cacheKey(shopId, endpoint);
+  const entry = cache.get(key);
+
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Removes a shop's entries from a cache
+ * @param {Map} cache - The cache to clear
+ * @param {string} shopId - The shop ID
+ * @param {string} [endpoint] - Only remove this server's entry; all of the shop's entries if omitted
+ */
+function deleteEntries(cache, shopId, endpoint) {
+  if (endpoint) {
+    cache.delete(cacheKey(shopId, endpoint));
+    return;
+  }
+
+  const prefix = cacheKey(shopId, '');
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) {
+      cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Gets a server's cached tool list
+ * @param {string} shopId - The shop ID
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {Object|null} The raw tools and server capabilities, or null if not cached or expired
+ */
+export function getCachedToolList(shopId, endpoint) {
+  const entry = getEntry(toolLists, shopId, endpoint);
+
+  return entry ? { tools: entry.tools, capabilities: entry.capabilities } : null;
+}
+
+/**
+ * Caches a server's tool list
+ * @param {string} shopId - The shop ID
+ * @param {string} endpoint - The MCP endpoint URL
+ * @param {Object} toolList - The tool list
+ * @param {Array} toolList.tools - Raw tools from `tools/list`
+ * @param {Object|null} toolList.capabilities - Capabilities the server declared in the handshake
+ */
+export function cacheToolList(shopId, endpoint, { tools, capabilities }) {
+  toolLists.set(cacheKey(shopId, endpoint), {
+    tools,
+    capabilities,
+    expiresAt: Date.now() + AppConfig.mcp.toolListCacheTtlMs
+  });
+}
+
+/**
+ * Removes cached tool lists
+ * @param {string} shopId - The shop ID
+ * @param {string} [endpoint] - Only remove this server's list; all of the shop's lists if omitted
+ */
+export function invalidateToolLists(shopId, endpoint) {
+  deleteEntries(toolLists, shopId, endpoint);
+}
+
+/**
+ * Gets a server's cached context resources
+ * @param {string} shopId - The shop ID
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {Array|null} The resources with their text, or null if not cached or expired
+ */
+export function getCachedContextResources(shopId, endpoint) {
+  return getEntry(contextResources, shopId, endpoint)?.resources || null;
+}
+
+/**
+ * Caches a server's context resources
+ * @param {string} shopId - The shop ID
+ * @param {string} endpoint - The MCP endpoint URL
+ * @param {Array} resources - The resources with their text
+ */
+export function cacheContextResources(shopId, endpoint, resources) {
+  contextResources.set(cacheKey(shopId, endpoint), {
+    resources,
+    expiresAt: Date.now() + AppConfig.mcp.toolListCacheTtlMs
+  });
+}
+
+/**
+ * Removes cached context resources
+ * @param {string} shopId - The shop ID
+ * @param {string} [endpoint] - Only remove this server's resources; all of the shop's if omitted
+ */
+export function invalidateContextResources(shopId, endpoint) {
+  deleteEntries(contextResources, shopId, endpoint);
+}
+
+export default {
+  getCachedToolList,
+  cacheToolList,
+  invalidateToolLists,
+  getCachedContextResources,
+  cacheContextResources,
+  invalidateContextResources
+};
@@ -0,0 +1,166 @@
+/**
+ * Tool Policy Service
+ * Applies a merchant's tool policy: which tools the assistant may use, how they are
+ * described to the model and which ones the shopper has to confirm. Tools are named as
+ * the model sees them, so third-party tools include their server prefix.
+ */
+import { TOOL_NAME_PATTERN } from "./mcp-servers.server";
+
+/**
+ * Checks whether a policy lets the assistant use a tool
+ * @param {Object} policy - The shop's tool policy
+ * @param {string} toolName - The tool name
+ * @returns {boolean} True if the tool may be offered and called
+ */
+export function isToolAllowed(policy, toolName) {
+  if (policy.deniedTools.includes(toolName)) return false;
+
+  return policy.allowedTools.length === 0 || policy.allowedTools.includes(toolName);
+}
+
+/**
+ * Checks whether a policy requires the shopper to confirm a tool call. Tools that may change
+ * or delete data need confirmation unless the policy exempts them.
+ * @param {Object} policy - The shop's tool policy
+ * @param {string} toolName - The tool name
+ * @param {boolean} [destructive] - Whether the tool may change or delete data
+ * @returns {boolean} True if the call needs the shopper's confirmation
+ */
+export function requiresConfirmation(policy, toolName, destructive = false) {
+  if (policy.autoApprovedTools.includes(toolName)) return false;
+
+  return destructive || policy.confirmationTools.includes(toolName);
+}
+
+/**
+ * Removes the tools a policy does not allow and applies its description overrides
+ * @param {Array} tools - Tools in the format sent to the model
+ * @param {Object} policy - The shop's tool policy
+ * @returns {Array} The tools the model may use
+ */
+export function applyToolPolicy(tools, policy) {
+  return tools
+    .filter(tool => isToolAllowed(policy, tool.name))
+    .map(tool => (
+      policy.descriptionOverrides[tool.name]
+        ? { ...tool, description: policy.descriptionOverrides[tool.name] }
+        : tool
+    ));
+}
+
+/**
+ * Parses tool names entered one per line
+ * @param {string} text - The tool names
+ * @returns {{names: Array<string>, error: string|null}} The names, or an error for the first invalid one
+ */
+function parseToolNames(text) {
+  const names = [];
+
+  for (const line of (text || '').split('\n')) {
+    const name = line.trim();
+    if (!name) continue;
+
+    if (!TOOL_NAME_PATTERN.test(name)) {
+      return { names: [], error: `Invalid tool name: ${name}` };
+    }
+
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  return { names, error: null };
+}
+
+/**
+ * Parses description overrides entered one per line as `tool_name: description`
+ * @param {string} text - The overrides
+ * @returns {{overrides: Object, error: string|null}} The overrides, or an error for the first invalid line
+ */
+function parseDescriptionOverrides(text) {
+  const overrides = {};
+
+  for (const line of (text || '').split('\n')) {
+    if (!line.trim()) continue;
+
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+    const description = line.slice(separator + 1).trim();
+
+    if (!TOOL_NAME_PATTERN.test(name) || !description) {
+      return { overrides: {}, error: `Invalid description line: ${line.trim()}` };
+    }
+
+    overrides[name] = description;
+  }
+
+  return { overrides, error: null };
+}
+
+/**
+ * Validates a tool policy entered in the admin
+ * @param {Object} input - The form values, each one entry per line
+ * @param {string} input.allowedTools - Tool names to allow
+ * @param {string} input.deniedTools - Tool names to deny
+ * @param {string} input.confirmationTools - Tool names the shopper has to confirm
+ * @param {string} input.autoApprovedTools - Tool names that never need the shopper's confirmation
+ * @param {string} input.descriptionOverrides - `tool_name: description` lines
+ * @returns {{policy: Object|null, errors: Object}} The policy to save, or errors keyed by field
+ */
+export function validateToolPolicy({ allowedTools, deniedTools, confirmationTools, autoApprovedTools, descriptionOverrides }) {
+  const errors = {};
+  const allowed = parseToolNames(allowedTools);
+  const denied = parseToolNames(deniedTools);
+  const confirmation = parseToolNames(confirmationTools);
+  const autoApproved = parseToolNames(autoApprovedTools);
+  const overrides = parseDescriptionOverrides(descriptionOverrides);
+
+  if (allowed.error) errors.allowedTools = allowed.error;
+  if (denied.error) errors.deniedTools = denied.error;
+  if (confirmation.error) errors.confirmationTools = confirmation.error;
+  if (autoApproved.error) errors.autoApprovedTools = autoApproved.error;
+  if (!autoApproved.error && autoApproved.names.some(name => confirmation.names.includes(name))) {
+    errors.autoApprovedTools = "A tool can't both need and skip the shopper's confirmation";
+  }
+  if (overrides.error) errors.descriptionOverrides = overrides.error;
+
+  if (Object.keys(errors).length > 0) {
+    return { policy: null, errors };
+  }
+
+  return {
+    policy: {
+      allowedTools: allowed.names,
+      deniedTools: denied.names,
+      confirmationTools: confirmation.names,
+      autoApprovedTools: autoApproved.names,
+      descriptionOverrides: overrides.overrides
+    },
+    errors
+  };
+}
+
+/**
+ * Formats a tool policy as the text the admin form edits
+ * @param {Object} policy - The shop's tool policy
+ * @returns {Object} Form values, each one entry per line
+ */
+export function formatToolPolicy(policy) {
+  return {
+    allowedTools: policy.allowedTools.join('\n'),
+    deniedTools: policy.deniedTools.join('\n'),
+    confirmationTools: policy.confirmationTools.join('\n'),
+    autoApprovedTools: policy.autoApprovedTools.join('\n'),
+    descriptionOverrides: Object.entries(policy.descriptionOverrides)
+      .map(([name, description]) => `${name}: ${description}`)
+      .join('\n')
+  };
+}
+
+export default {
+  isToolAllowed,
+  requiresConfirmation,
+  applyToolPolicy,
+  validateToolPolicy,
+  formatToolPolicy
+};
@@ -0,0 +1,122 @@
+/**
+ * Tool Validation Service
+ * Checks the arguments the model passes to a tool against the tool's input schema, and
+ * structured tool results against the tool's output schema, so mistakes are reported
+ * back to the model in a form it can correct
+ */
+import Ajv from "ajv";
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Compiled validators keyed by schema; tool lists are cached, so the same schema
+ * objects come back on later turns
+ * @type {WeakMap<Object, Function|null>}
+ */
+const validators = new WeakMap();
+
+/**
+ * Gets the compiled validator for a schema
+ * @param {Object} schema - A JSON Schema
+ * @returns {Function|null} The validator, or null if the schema cannot be compiled
+ */
+function getValidator(schema) {
+  if (!validators.has(schema)) {
+    try {
+      validators.set(schema, ajv.compile(schema));
+    } catch (error) {
+      // A server's broken schema should not make its tool unusable
+      console.warn('Skipping validation against an invalid tool schema:', error.message);
+      validators.set(schema, null);
+    }
+  }
+
+  return validators.get(schema);
+}
+
+/**
+ * Describes a validation error in terms of the value's path
+ * @param {Object} error - An Ajv error
+ * @returns {string} The description
+ */
+function describeError(error) {
+  const path = error.instancePath || '(arguments)';
+
+  if (error.keyword === 'additionalProperties') {
+    return `${path} has unexpected property '${error.params.additionalProperty}'`;
+  }
+
+  if (error.keyword === 'enum') {
+    return `${path} must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+
+  return `${path} ${error.message}`;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {Object} schema - A JSON Schema
+ * @param {*} value - The value to validate
+ * @returns {{valid: boolean, errors: Array<string>}} Whether the value is valid, and what is wrong with it
+ */
+function validate(schema, value) {
+  const validator = schema && typeof schema === 'object' ? getValidator(schema) : null;
+
+  if (!validator || validator(value)) {
+    return { valid: true, errors: [] };
+  }
+
+  return { valid: false, errors: validator.errors.map(describeError) };
+}
+
+/**
+ * Validates tool arguments against the tool's input schema
+ * @param {Object} tool - The tool, with `name` and `input_schema`
+ * @param {Object} toolArgs - The arguments the model passed
+ * @returns {Object|null} A tool error the model can correct its call from, or null if the arguments are valid
+ */
+export function validateToolArguments(tool, toolArgs) {
+  const { valid, errors } = validate(tool.input_schema, toolArgs ?? {});
+  if (valid) return null;
+
+  return {
+    error: {
+      type: 'invalid_arguments',
+      data: `The arguments for ${tool.name} are invalid:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+        `Fix the arguments to match the tool's input schema and call it again.`
+    }
+  };
+}
+
+/**
+ * Validates a tool's structured result against the tool's output schema
+ * @param {string} toolName - The tool name
+ * @param {Object} outputSchema - The tool's output schema
+ * @param {Object} result - The tool result
+ * @returns {Object|null} A tool error, or null if the result is valid or the tool has no output schema
+ */
+export function validateToolResult(toolName, outputSchema, result) {
+  if (!outputSchema || result.isError) return null;
+
+  // Tools with an output schema must return structured content
+  const { valid, errors } = result.structuredContent === undefined
+    ? { valid: false, errors: ['structuredContent is missing'] }
+    : validate(outputSchema, result.structuredContent);
+
+  if (valid) return null;
+
+  console.warn(`Result of ${toolName} does not match its output schema:`, errors);
+
+  return {
+    error: {
+      type: 'invalid_result',
+      data: `The ${toolName} tool returned a result that does not match its output schema, so it cannot be used. ` +
+        `Don't rely on it; let the customer know the information is unavailable right now.`
+    }
+  };
+}
+
+export default {
+  validateToolArguments,
+  validateToolResult
+};
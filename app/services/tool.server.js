@@ -10,24 +10,46 @@ import AppConfig from "./config.server";
  * @returns {Object} Tool service with methods for managing tools
  */
 export function createToolService() {
+  /**
+   * Runs tool calls concurrently, at most `AppConfig.tools.maxParallelToolCalls` at a time
+   * @param {Array} toolUses - The tool_use blocks to run
+   * @param {Function} executeToolUse - Runs a single tool_use block and resolves to its tool_result block
+   * @returns {Promise<Array>} The tool_result blocks, in the same order as the tool_use blocks
+   */
+  const executeToolUses = async (toolUses, executeToolUse) => {
+    const results = new Array(toolUses.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < toolUses.length) {
+        const index = nextIndex++;
+        results[index] = await executeToolUse(toolUses[index]);
+      }
+    };
+
+    const workerCount = Math.min(AppConfig.tools.maxParallelToolCalls, toolUses.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  };
+
   /**
    * Handles a tool error response
    * @param {Object} toolUseResponse - The error response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {Array} conversationHistory - The conversation history
    * @param {Function} sendMessage - Function to send messages to the client
-   * @param {string} conversationId - The conversation ID
+   * @returns {Object} The tool_result block for the error
    */
-  const handleToolError = async (toolUseResponse, toolName, toolUseId, conversationHistory, sendMessage, conversationId) => {
+  const handleToolError = (toolUseResponse, toolName, toolUseId, sendMessage) => {
     if (toolUseResponse.error.type === "auth_required") {
       console.log("Auth required for tool:", toolName);
-      await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
       sendMessage({ type: 'auth_required' });
-    } else {
-      console.log("Tool use error", toolUseResponse.error);
-      await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
+      return createToolResult(toolUseId, toolUseResponse.error.data);
     }
+
+    console.log("Tool use error", toolUseResponse.error);
+    return createToolResult(toolUseId, toolUseResponse.error.data, true);
   };
 
   /**
@@ -35,17 +57,16 @@ export function createToolService() {
    * @param {Object} toolUseResponse - The response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {Array} conversationHistory - The conversation history
    * @param {Array} productsToDisplay - Array to add product results to
-   * @param {string} conversationId - The conversation ID
+   * @returns {Object} The tool_result block for the response
    */
-  const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, conversationHistory, productsToDisplay, conversationId) => {
+  const handleToolSuccess = (toolUseResponse, toolName, toolUseId, productsToDisplay) => {
     // Check if this is a product search result
     if (toolName === AppConfig.tools.productSearchName) {
       productsToDisplay.push(...processProductSearchResult(toolUseResponse));
     }
 
-    addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.content, conversationId);
+    return createToolResult(toolUseId, toolUseResponse.content);
   };
 
   /**
@@ -111,20 +132,31 @@ export function createToolService() {
   };
 
   /**
-   * Adds a tool result to the conversation history
-   * @param {Array} conversationHistory - The conversation history
+   * Creates a tool_result content block
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {string} content - The content of the tool result
+   * @param {string|Array} content - The content of the tool result
+   * @param {boolean} isError - Whether the tool call failed
+   * @returns {Object} The tool_result block
+   */
+  const createToolResult = (toolUseId, content, isError = false) => {
+    return {
+      type: "tool_result",
+      tool_use_id: toolUseId,
+      content: content,
+      ...(isError && { is_error: true })
+    };
+  };
+
+  /**
+   * Adds the tool results of an assistant turn to the conversation history as a single message
+   * @param {Array} conversationHistory - The conversation history
+   * @param {Array} toolResults - The tool_result blocks
    * @param {string} conversationId - The conversation ID
    */
-  const addToolResultToHistory = async (conversationHistory, toolUseId, content, conversationId) => {
+  const addToolResultsToHistory = async (conversationHistory, toolResults, conversationId) => {
     const toolResultMessage = {
       role: 'user',
-      content: [{
-        type: "tool_result",
-        tool_use_id: toolUseId,
-        content: content
-      }]
+      content: toolResults
     };
 
     // Add to in-memory history
@@ -141,10 +173,12 @@ export function createToolService() {
   };
 
   return {
+    executeToolUses,
     handleToolError,
     handleToolSuccess,
     processProductSearchResult,
-    addToolResultToHistory
+    createToolResult,
+    addToolResultsToHistory
   };
 }
 
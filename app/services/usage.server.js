@@ -0,0 +1,169 @@
+/**
+ * Usage Service
+ * Turns the token counts stored with each message into usage and cost totals, and the
+ * recorded tool calls into per-model error rates
+ */
+import { getShopUsageMessages, getConversationUsageMessages, getShopToolCallCounts } from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Finds the configured price for a model.
+ * Providers may report a dated model version (e.g. claude-3-5-sonnet-20241022) for a
+ * `-latest` alias, so fall back to the alias the model name starts with.
+ * @param {string} model - The model name
+ * @returns {Object|null} Price per million tokens or null if not configured
+ */
+function getPrice(model) {
+  const { prices } = AppConfig.usage;
+
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const alias = Object.keys(prices).find(name => model.startsWith(name.replace(/-latest$/, '')));
+  return alias ? prices[alias] : null;
+}
+
+/**
+ * Calculates the cost of a message's token usage
+ * @param {string} model - The model that produced the message
+ * @param {Object} tokens - Token counts
+ * @param {number} tokens.inputTokens - Uncached input tokens
+ * @param {number} tokens.outputTokens - Output tokens
+ * @param {number} tokens.cacheCreationTokens - Input tokens written to the prompt cache
+ * @param {number} tokens.cacheReadTokens - Input tokens read from the prompt cache
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(model, { inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens }) {
+  const price = getPrice(model);
+
+  if (!price) {
+    console.warn(`No price configured for model ${model}, counting its usage as free`);
+    return 0;
+  }
+
+  return (
+    inputTokens * price.input +
+    outputTokens * price.output +
+    cacheCreationTokens * price.cacheWrite +
+    cacheReadTokens * price.cacheRead
+  ) / 1_000_000;
+}
+
+/**
+ * Calculates the share of input tokens that were read from the prompt cache
+ * @param {Object} total - A usage total
+ * @returns {number} Cache hit rate between 0 and 1
+ */
+export function getCacheHitRate({ inputTokens, cacheCreationTokens, cacheReadTokens }) {
+  const promptTokens = inputTokens + cacheCreationTokens + cacheReadTokens;
+  return promptTokens > 0 ? cacheReadTokens / promptTokens : 0;
+}
+
+/**
+ * Creates an empty usage total
+ * @returns {Object} Usage total with all counters at zero
+ */
+function createTotal() {
+  return {
+    messages: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    cost: 0
+  };
+}
+
+/**
+ * Adds a message's usage to a total
+ * @param {Object} total - The total to update
+ * @param {Object} message - A message with model and token counts
+ */
+function addToTotal(total, message) {
+  total.messages += 1;
+  total.inputTokens += message.inputTokens;
+  total.outputTokens += message.outputTokens;
+  total.cacheCreationTokens += message.cacheCreationTokens;
+  total.cacheReadTokens += message.cacheReadTokens;
+  total.cost += calculateCost(message.model, message);
+}
+
+/**
+ * Gets the total usage of a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object>} Token and cost totals
+ */
+export async function getConversationUsage(conversationId) {
+  const messages = await getConversationUsageMessages(conversationId);
+  const total = createTotal();
+
+  messages.forEach(message => addToTotal(total, message));
+
+  return total;
+}
+
+/**
+ * Gets a shop's usage totals per UTC day
+ * @param {string} shopId - The shop ID
+ * @param {number} days - Number of days to include, ending today
+ * @returns {Promise<Array>} Daily totals, oldest first, each with a `date` (YYYY-MM-DD)
+ */
+export async function getShopDailyUsage(shopId, days = AppConfig.usage.reportDays) {
+  const to = new Date();
+  const from = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate() - (days - 1)));
+
+  const messages = await getShopUsageMessages(shopId, from, to);
+  const totals = new Map();
+
+  for (const message of messages) {
+    const date = message.createdAt.toISOString().slice(0, 10);
+
+    if (!totals.has(date)) {
+      totals.set(date, { date, ...createTotal() });
+    }
+
+    addToTotal(totals.get(date), message);
+  }
+
+  return Array.from(totals.values());
+}
+
+/**
+ * Gets how often each model called tools with invalid arguments, or got invalid results back
+ * @param {string} shopId - The shop ID
+ * @param {number} days - Number of days to include, ending today
+ * @returns {Promise<Array>} Totals per model, most calls first, each with `calls`,
+ *   `invalidArguments`, `invalidResults` and `invalidRate` (between 0 and 1)
+ */
+export async function getShopToolCallStats(shopId, days = AppConfig.usage.reportDays) {
+  const to = new Date();
+  const from = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate() - (days - 1)));
+
+  const counts = await getShopToolCallCounts(shopId, from, to);
+  const totals = new Map();
+
+  for (const { model, status, count } of counts) {
+    const name = model || 'Unknown';
+
+    if (!totals.has(name)) {
+      totals.set(name, { model: name, calls: 0, invalidArguments: 0, invalidResults: 0, invalidRate: 0 });
+    }
+
+    const total = totals.get(name);
+    total.calls += count;
+    if (status === 'invalid_arguments') total.invalidArguments += count;
+    if (status === 'invalid_result') total.invalidResults += count;
+  }
+
+  return Array.from(totals.values())
+    .map(total => ({ ...total, invalidRate: total.invalidArguments / total.calls }))
+    .sort((a, b) => b.calls - a.calls);
+}
+
+export default {
+  calculateCost,
+  getCacheHitRate,
+  getConversationUsage,
+  getShopDailyUsage,
+  getShopToolCallStats
+};
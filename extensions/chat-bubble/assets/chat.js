@@ -31,6 +31,7 @@
           chatBubble: container.querySelector('.shop-ai-chat-bubble'),
           chatWindow: container.querySelector('.shop-ai-chat-window'),
           closeButton: container.querySelector('.shop-ai-chat-close'),
+          signOutButton: container.querySelector('.shop-ai-chat-sign-out'),
           chatInput: container.querySelector('.shop-ai-chat-input input'),
           sendButton: container.querySelector('.shop-ai-chat-send'),
           messagesContainer: container.querySelector('.shop-ai-chat-messages')
@@ -52,7 +53,7 @@
        * Set up all event listeners for UI interactions
        */
       setupEventListeners: function() {
-        const { chatBubble, closeButton, chatInput, sendButton, messagesContainer } = this.elements;
+        const { chatBubble, closeButton, signOutButton, chatInput, sendButton, messagesContainer } = this.elements;
 
         // Toggle chat window visibility
         chatBubble.addEventListener('click', () => this.toggleChatWindow());
@@ -60,6 +61,11 @@
         // Close chat window
         closeButton.addEventListener('click', () => this.closeChatWindow());
 
+        // Sign the shopper out of their customer account
+        if (signOutButton) {
+          signOutButton.addEventListener('click', () => ShopAIChat.Auth.signOut(messagesContainer));
+        }
+
         // Send message when pressing Enter in input
         chatInput.addEventListener('keypress', (e) => {
           if (e.key === 'Enter' && chatInput.value.trim() !== '') {
@@ -149,6 +155,18 @@
         }
       },
 
+      /**
+       * Show the sign-out control while the shopper is signed in to their customer account
+       * @param {boolean} signedIn - Whether the shopper is signed in
+       */
+      setSignedIn: function(signedIn) {
+        const { signOutButton } = this.elements;
+        if (!signOutButton) return;
+
+        signOutButton.hidden = !signedIn;
+        signOutButton.disabled = false;
+      },
+
       /**
        * Scroll messages container to bottom
        */
@@ -278,6 +296,108 @@
         return messageElement;
       },
 
+      /**
+       * Show or update the progress of a running tool
+       * @param {string} toolUseId - ID of the tool call
+       * @param {string} progressMessage - Progress message content
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      showToolProgress: function(toolUseId, progressMessage, messagesContainer) {
+        let progressElement = messagesContainer.querySelector(
+          `.shop-ai-tool-progress[data-tool-use-id="${CSS.escape(toolUseId || '')}"]`
+        );
+
+        if (!progressElement) {
+          progressElement = document.createElement('div');
+          progressElement.classList.add('shop-ai-message', 'shop-ai-tool-progress');
+          progressElement.dataset.toolUseId = toolUseId || '';
+          messagesContainer.appendChild(progressElement);
+        }
+
+        progressElement.textContent = progressMessage;
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Remove tool progress updates once the tools have finished
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      clearToolProgress: function(messagesContainer) {
+        messagesContainer.querySelectorAll('.shop-ai-tool-progress').forEach(element => element.remove());
+      },
+
+      /**
+       * Ask the shopper to confirm a tool call before it runs
+       * @param {Object} confirmation - The tool_confirmation_required event
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      addToolConfirmation: function(confirmation, messagesContainer) {
+        const confirmationElement = document.createElement('div');
+        confirmationElement.classList.add('shop-ai-message', 'shop-ai-tool-confirmation');
+        confirmationElement.dataset.confirmationId = confirmation.confirmation_id;
+
+        const summaryElement = document.createElement('div');
+        summaryElement.classList.add('shop-ai-tool-confirmation-summary');
+        summaryElement.textContent = confirmation.summary;
+
+        const actionsElement = document.createElement('div');
+        actionsElement.classList.add('shop-ai-tool-confirmation-actions');
+
+        const confirmButton = document.createElement('button');
+        confirmButton.classList.add('shop-ai-tool-confirm');
+        confirmButton.textContent = 'Confirm';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.classList.add('shop-ai-tool-cancel');
+        cancelButton.textContent = 'Cancel';
+
+        const decide = async (approved) => {
+          confirmButton.disabled = true;
+          cancelButton.disabled = true;
+
+          const sent = await ShopAIChat.API.sendToolConfirmation(confirmation.confirmation_id, approved);
+          if (!sent) {
+            confirmButton.disabled = false;
+            cancelButton.disabled = false;
+          }
+        };
+
+        confirmButton.addEventListener('click', () => decide(true));
+        cancelButton.addEventListener('click', () => decide(false));
+
+        actionsElement.appendChild(confirmButton);
+        actionsElement.appendChild(cancelButton);
+        confirmationElement.appendChild(summaryElement);
+        confirmationElement.appendChild(actionsElement);
+
+        ShopAIChat.UI.removeTypingIndicator();
+        messagesContainer.appendChild(confirmationElement);
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Show the outcome of a confirmation in place of its buttons
+       * @param {string} confirmationId - ID of the confirmation
+       * @param {string} decision - "approved", "rejected" or "expired"
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      resolveToolConfirmation: function(confirmationId, decision, messagesContainer) {
+        const confirmationElement = messagesContainer.querySelector(
+          `.shop-ai-tool-confirmation[data-confirmation-id="${CSS.escape(confirmationId || '')}"]`
+        );
+        if (!confirmationElement) return;
+
+        const outcomes = {
+          approved: 'Confirmed',
+          rejected: 'Cancelled',
+          expired: 'Not confirmed in time'
+        };
+
+        const actionsElement = confirmationElement.querySelector('.shop-ai-tool-confirmation-actions');
+        actionsElement.textContent = outcomes[decision] || decision;
+        ShopAIChat.UI.showTypingIndicator();
+      },
+
       /**
        * Add a tool use message to the chat with expandable arguments
        * @param {string} toolMessage - Tool use message content
@@ -475,10 +595,16 @@
 
         try {
           const promptType = window.shopChatConfig?.promptType || "standardAssistant";
+          const customer = window.shopCustomer;
           const requestBody = JSON.stringify({
             message: userMessage,
             conversation_id: conversationId,
-            prompt_type: promptType
+            prompt_type: promptType,
+            // The logged-in customer, signed by the storefront, so the conversation can use their sign-in
+            ...(customer && {
+              customer_id: String(customer.id),
+              customer_signature: customer.signature
+            })
           });
 
           const streamUrl = 'https://harmony-assistant.onrender.com/chat';
@@ -489,7 +615,8 @@
             headers: {
               'Content-Type': 'application/json',
               'Accept': 'text/event-stream',
-              'X-Shopify-Shop-Id': shopId
+              'X-Shopify-Shop-Id': shopId,
+              'X-Shopify-Shop-Signature': window.shopSignature || ''
             },
             body: requestBody
           });
@@ -566,6 +693,7 @@
 
           case 'end_turn':
             ShopAIChat.UI.removeTypingIndicator();
+            ShopAIChat.Message.clearToolProgress(messagesContainer);
             break;
 
           case 'error':
@@ -580,6 +708,24 @@
             currentMessageElement.textContent = "Sorry, our servers are currently busy. Please try again later.";
             break;
 
+          case 'assistant_unavailable':
+            ShopAIChat.UI.removeTypingIndicator();
+            currentMessageElement.textContent = data.message ||
+              "Sorry, our assistant is unavailable right now. Please try again later.";
+            break;
+
+          case 'tool_round_limit':
+          case 'time_budget_exceeded':
+          case 'response_truncated':
+            // The turn was stopped early, explain why in place of or after the reply
+            ShopAIChat.UI.removeTypingIndicator();
+            if (currentMessageElement.dataset.rawText) {
+              ShopAIChat.Message.add(data.message, 'assistant', messagesContainer);
+            } else {
+              currentMessageElement.textContent = data.message;
+            }
+            break;
+
           case 'auth_required':
             // Save the last user message for resuming after authentication
             sessionStorage.setItem('shopAiLastMessage', userMessage || '');
@@ -595,7 +741,20 @@
             }
             break;
 
+          case 'tool_progress':
+            ShopAIChat.Message.showToolProgress(data.tool_use_id, data.message, messagesContainer);
+            break;
+
+          case 'tool_confirmation_required':
+            ShopAIChat.Message.addToolConfirmation(data, messagesContainer);
+            break;
+
+          case 'tool_confirmation_resolved':
+            ShopAIChat.Message.resolveToolConfirmation(data.confirmation_id, data.decision, messagesContainer);
+            break;
+
           case 'new_message':
+            ShopAIChat.Message.clearToolProgress(messagesContainer);
             ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
             ShopAIChat.UI.showTypingIndicator();
 
@@ -617,8 +776,101 @@
       },
 
       /**
-       * Fetch chat history from the server
+       * Send the shopper's decision on a tool call that waits for confirmation
+       * @param {string} confirmationId - ID from the tool_confirmation_required event
+       * @param {boolean} approved - Whether the shopper approved the call
+       * @returns {Promise<boolean>} Whether the decision was accepted
+       */
+      sendToolConfirmation: async function(confirmationId, approved) {
+        try {
+          const response = await fetch('https://harmony-assistant.onrender.com/chat/confirm', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+              conversation_id: sessionStorage.getItem('shopAiConversationId'),
+              confirmation_id: confirmationId,
+              approved: approved
+            })
+          });
+
+          if (!response.ok) {
+            throw new Error('Confirmation failed: ' + response.status);
+          }
+
+          return true;
+        } catch (error) {
+          console.error('Error sending tool confirmation:', error);
+          return false;
+        }
+      },
+
+      /**
+       * Check whether the shopper is signed in to their customer account in a conversation
+       * @param {string} conversationId - Conversation ID
+       * @returns {Promise<boolean>} Whether a valid token exists for the conversation
+       */
+      fetchTokenStatus: async function(conversationId) {
+        const customer = window.shopCustomer;
+        // The logged-in customer's sign-in only counts if the storefront vouches for them
+        const tokenUrl = 'https://harmony-assistant.onrender.com/auth/token-status?conversation_id=' +
+          encodeURIComponent(conversationId) +
+          (customer
+            ? `&shop_id=${encodeURIComponent(window.shopId)}&customer_id=${encodeURIComponent(customer.id)}` +
+              `&customer_signature=${encodeURIComponent(customer.signature)}`
+            : '');
+        const response = await fetch(tokenUrl);
+
+        if (!response.ok) {
+          throw new Error('Token status check failed: ' + response.status);
+        }
+
+        const data = await response.json();
+        return data.status === 'authorized';
+      },
+
+      /**
+       * Sign the shopper out of their customer account in a conversation
        * @param {string} conversationId - Conversation ID
+       * @returns {Promise<boolean>} Whether the shopper was signed out
+       */
+      signOut: async function(conversationId) {
+        try {
+          const customer = window.shopCustomer;
+          const response = await fetch('https://harmony-assistant.onrender.com/auth/logout', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Accept': 'application/json',
+              'X-Shopify-Shop-Id': window.shopId,
+              'X-Shopify-Shop-Signature': window.shopSignature || ''
+            },
+            body: JSON.stringify({
+              conversation_id: conversationId,
+              // The logged-in customer, signed by the storefront, so their other conversations are signed out too
+              ...(customer && {
+                customer_id: String(customer.id),
+                customer_signature: customer.signature
+              })
+            })
+          });
+
+          if (!response.ok) {
+            throw new Error('Sign out failed: ' + response.status);
+          }
+
+          return true;
+        } catch (error) {
+          console.error('Error signing out:', error);
+          return false;
+        }
+      },
+
+      /**
+       * Fetch chat history from the server
+       * @param {string|null} conversationId - Conversation ID, or null for the logged-in customer's latest conversation
        * @param {HTMLElement} messagesContainer - The messages container
        */
       fetchChatHistory: async function(conversationId, messagesContainer) {
@@ -630,7 +882,11 @@
           messagesContainer.appendChild(loadingMessage);
 
           // Fetch history from the server
-          const historyUrl = `https://harmony-assistant.onrender.com/chat?history=true&conversation_id=${encodeURIComponent(conversationId)}`;
+          const customer = window.shopCustomer;
+          const historyUrl = conversationId
+            ? `https://harmony-assistant.onrender.com/chat?history=true&conversation_id=${encodeURIComponent(conversationId)}`
+            : `https://harmony-assistant.onrender.com/chat?history=true&shop_id=${encodeURIComponent(window.shopId)}` +
+              `&customer_id=${encodeURIComponent(customer.id)}&customer_signature=${encodeURIComponent(customer.signature)}`;
           console.log('Fetching history from:', historyUrl);
 
           const response = await fetch(historyUrl, {
@@ -652,6 +908,12 @@
           // Remove loading message
           messagesContainer.removeChild(loadingMessage);
 
+          // Continue the customer's latest conversation from another session
+          if (!conversationId && data.conversation_id) {
+            sessionStorage.setItem('shopAiConversationId', data.conversation_id);
+            ShopAIChat.Auth.checkSignedIn(data.conversation_id);
+          }
+
           // No messages, show welcome message
           if (!data.messages || data.messages.length === 0) {
             const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
@@ -779,18 +1041,11 @@
           attemptCount++;
 
           try {
-            const tokenUrl = 'https://harmony-assistant.onrender.com/auth/token-status?conversation_id=' +
-              encodeURIComponent(conversationId);
-            const response = await fetch(tokenUrl);
-
-            if (!response.ok) {
-              throw new Error('Token status check failed: ' + response.status);
-            }
+            const authorized = await ShopAIChat.API.fetchTokenStatus(conversationId);
 
-            const data = await response.json();
-
-            if (data.status === 'authorized') {
+            if (authorized) {
               console.log('Token available, resuming conversation');
+              ShopAIChat.UI.setSignedIn(true);
               const message = sessionStorage.getItem('shopAiLastMessage');
 
               if (message) {
@@ -816,6 +1071,44 @@
         };
 
         setTimeout(poll, 2000);
+      },
+
+      /**
+       * Show the sign-out control if the shopper is already signed in to the conversation
+       * @param {string} conversationId - Conversation ID
+       */
+      checkSignedIn: async function(conversationId) {
+        try {
+          ShopAIChat.UI.setSignedIn(await ShopAIChat.API.fetchTokenStatus(conversationId));
+        } catch (error) {
+          console.error('Error checking sign-in status:', error);
+        }
+      },
+
+      /**
+       * Sign the shopper out of their customer account
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      signOut: async function(messagesContainer) {
+        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        if (!conversationId) return;
+
+        const { signOutButton } = ShopAIChat.UI.elements;
+        signOutButton.disabled = true;
+
+        // Stop waiting for a sign-in that is still in progress
+        sessionStorage.removeItem('shopAiTokenPollingId');
+        sessionStorage.removeItem('shopAiLastMessage');
+
+        if (await ShopAIChat.API.signOut(conversationId)) {
+          ShopAIChat.UI.setSignedIn(false);
+          ShopAIChat.Message.add("You've been signed out of your account.", 'assistant', messagesContainer);
+        } else {
+          signOutButton.disabled = false;
+          ShopAIChat.Message.add("Sorry, I couldn't sign you out. Please try again.", 'assistant', messagesContainer);
+        }
+
+        ShopAIChat.UI.scrollToBottom();
       }
     },
 
@@ -917,6 +1210,10 @@
       if (conversationId) {
         // Fetch conversation history
         this.API.fetchChatHistory(conversationId, this.UI.elements.messagesContainer);
+        this.Auth.checkSignedIn(conversationId);
+      } else if (window.shopCustomer) {
+        // Pick up the logged-in customer's latest conversation
+        this.API.fetchChatHistory(null, this.UI.elements.messagesContainer);
       } else {
         // No previous conversation, show welcome message
         const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "shopId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "model" TEXT;
+ALTER TABLE "Message" ADD COLUMN "inputTokens" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Message" ADD COLUMN "outputTokens" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Message" ADD COLUMN "cacheCreationTokens" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Message" ADD COLUMN "cacheReadTokens" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Conversation_shopId_idx" ON "Conversation"("shopId");
+
+-- CreateIndex
+CREATE INDEX "Message_createdAt_idx" ON "Message"("createdAt");
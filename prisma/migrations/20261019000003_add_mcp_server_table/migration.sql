@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "McpServer" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shopId" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "url" TEXT NOT NULL,
+  "headers" TEXT NOT NULL DEFAULT '{}',
+  "enabled" BOOLEAN NOT NULL DEFAULT true,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "McpServer_shopId_idx" ON "McpServer"("shopId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "McpServer_shopId_name_key" ON "McpServer"("shopId", "name");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "ToolPolicy" (
+  "shopId" TEXT NOT NULL PRIMARY KEY,
+  "allowedTools" TEXT NOT NULL DEFAULT '[]',
+  "deniedTools" TEXT NOT NULL DEFAULT '[]',
+  "confirmationTools" TEXT NOT NULL DEFAULT '[]',
+  "descriptionOverrides" TEXT NOT NULL DEFAULT '{}',
+  "updatedAt" DATETIME NOT NULL
+);
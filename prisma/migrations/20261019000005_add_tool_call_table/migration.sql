@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "ToolCall" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shopId" TEXT,
+  "conversationId" TEXT NOT NULL,
+  "model" TEXT,
+  "toolName" TEXT NOT NULL,
+  "status" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ToolCall_shopId_createdAt_idx" ON "ToolCall"("shopId", "createdAt");
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "Customer" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shopId" TEXT NOT NULL,
+  "accountId" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_shopId_accountId_key" ON "Customer"("shopId", "accountId");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CustomerToken" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "conversationId" TEXT NOT NULL,
+  "customerId" TEXT,
+  "accessToken" TEXT NOT NULL,
+  "refreshToken" TEXT,
+  "expiresAt" DATETIME NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL,
+  CONSTRAINT "CustomerToken_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_CustomerToken" ("id", "conversationId", "accessToken", "refreshToken", "expiresAt", "createdAt", "updatedAt") SELECT "id", "conversationId", "accessToken", "refreshToken", "expiresAt", "createdAt", "updatedAt" FROM "CustomerToken";
+DROP TABLE "CustomerToken";
+ALTER TABLE "new_CustomerToken" RENAME TO "CustomerToken";
+CREATE INDEX "CustomerToken_conversationId_idx" ON "CustomerToken"("conversationId");
+CREATE INDEX "CustomerToken_customerId_idx" ON "CustomerToken"("customerId");
+CREATE TABLE "new_Conversation" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shopId" TEXT,
+  "customerId" TEXT,
+  "summarizedThrough" DATETIME,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL,
+  CONSTRAINT "Conversation_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Conversation" ("id", "shopId", "summarizedThrough", "createdAt", "updatedAt") SELECT "id", "shopId", "summarizedThrough", "createdAt", "updatedAt" FROM "Conversation";
+DROP TABLE "Conversation";
+ALTER TABLE "new_Conversation" RENAME TO "Conversation";
+CREATE INDEX "Conversation_shopId_idx" ON "Conversation"("shopId");
+CREATE INDEX "Conversation_customerId_idx" ON "Conversation"("customerId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ToolPolicy" ADD COLUMN "autoApprovedTools" TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,119 @@
+/**
+ * Encrypts the customer tokens, code verifiers and MCP server headers stored before
+ * encryption was enabled, and re-encrypts values that use an older key after a key
+ * rotation. Safe to run more than once; runs as part of `npm run setup`.
+ *
+ * Without TOKEN_ENCRYPTION_KEYS nothing is encrypted, and the script only warns, so that
+ * deployments upgraded without a key still start. Malformed keys fail the script before
+ * any value is changed.
+ *
+ * Usage: TOKEN_ENCRYPTION_KEYS=... node scripts/encrypt-secrets.js
+ */
+import { PrismaClient } from "@prisma/client";
+import { encryptSecret, decryptSecret, needsEncryption, checkEncryptionKeys } from "../app/services/encryption.server.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Encrypts a value with the current key
+ * @param {string|null} value - The stored value
+ * @returns {string|null} The value to store
+ */
+function reencrypt(value) {
+  return value ? encryptSecret(decryptSecret(value)) : value;
+}
+
+/**
+ * Encrypts the secrets of every customer token
+ * @returns {Promise<number>} The number of updated tokens
+ */
+async function encryptCustomerTokens() {
+  const tokens = await prisma.customerToken.findMany();
+  let updated = 0;
+
+  for (const token of tokens) {
+    const accessTokenStale = needsEncryption(token.accessToken);
+    const refreshTokenStale = Boolean(token.refreshToken) && needsEncryption(token.refreshToken);
+
+    if (!accessTokenStale && !refreshTokenStale) continue;
+
+    await prisma.customerToken.update({
+      where: { id: token.id },
+      data: {
+        accessToken: accessTokenStale ? reencrypt(token.accessToken) : token.accessToken,
+        refreshToken: refreshTokenStale ? reencrypt(token.refreshToken) : token.refreshToken
+      }
+    });
+    updated += 1;
+  }
+
+  return updated;
+}
+
+/**
+ * Encrypts the headers of every third-party MCP server, which hold their credentials
+ * @returns {Promise<number>} The number of updated servers
+ */
+async function encryptMcpServerHeaders() {
+  const servers = await prisma.mcpServer.findMany();
+  let updated = 0;
+
+  for (const server of servers.filter(record => record.headers && needsEncryption(record.headers))) {
+    await prisma.mcpServer.update({
+      where: { id: server.id },
+      data: { headers: reencrypt(server.headers) }
+    });
+    updated += 1;
+  }
+
+  return updated;
+}
+
+/**
+ * Encrypts every code verifier
+ * @returns {Promise<number>} The number of updated code verifiers
+ */
+async function encryptCodeVerifiers() {
+  // Expired verifiers can't be used anymore, so remove them instead
+  await prisma.codeVerifier.deleteMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+
+  const verifiers = await prisma.codeVerifier.findMany();
+  let updated = 0;
+
+  for (const verifier of verifiers.filter(record => needsEncryption(record.verifier))) {
+    await prisma.codeVerifier.update({
+      where: { id: verifier.id },
+      data: { verifier: reencrypt(verifier.verifier) }
+    });
+    updated += 1;
+  }
+
+  return updated;
+}
+
+const keyError = checkEncryptionKeys();
+
+try {
+  if (keyError && !process.env.TOKEN_ENCRYPTION_KEYS) {
+    console.warn(
+      'TOKEN_ENCRYPTION_KEYS is not set, so stored secrets were not encrypted. Set it and run ' +
+      '`npm run encrypt-secrets`; until then customer sign-in and saving MCP servers fail.'
+    );
+  } else if (keyError) {
+    console.error(`Not encrypting stored secrets: ${keyError}`);
+    process.exitCode = 1;
+  } else {
+    const tokens = await encryptCustomerTokens();
+    const verifiers = await encryptCodeVerifiers();
+    const servers = await encryptMcpServerHeaders();
+
+    console.log(`Encrypted ${tokens} customer tokens, ${verifiers} code verifiers and the headers of ${servers} MCP servers`);
+  }
+} catch (error) {
+  console.error('Failed to encrypt stored secrets:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}